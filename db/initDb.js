@@ -1,4 +1,5 @@
 const { db } = require('../config/firebase');
+const { getHabitTemplate } = require('../utils/habitTemplates');
 
 // Function to initialize the database structure
 async function initializeDatabase() {
@@ -14,8 +15,17 @@ async function initializeDatabase() {
       console.log('Setting up initial database structure...');
       await db.ref('/').set({
         habits: {},
+        habitCompletions: {},
+        habitProgress: {},
+        habitExcuses: {},
         tasks: {},
-        notes: {}
+        taskTimeEntries: {},
+        taskTimers: {},
+        taskPostponements: {},
+        notes: {},
+        noteSearchIndex: {},
+        categories: {},
+        users: {}
       });
       console.log('Initial database structure created successfully');
     } else {
@@ -35,36 +45,21 @@ async function seedDatabase() {
   try {
     console.log('Seeding database with initial data...');
     
-    // Sample habits data
-    const habits = {
-      'habit1': {
-        name: 'Morning Meditation',
-        description: '10 minutes of mindfulness',
-        frequency: 'daily',
+    // Sample habits data, created from the habit templates
+    const habits = {};
+    ['morning-meditation', 'drink-water', 'exercise'].forEach((templateId, index) => {
+      const { id, reminders, ...template } = getHabitTemplate(templateId);
+      habits[`habit${index + 1}`] = {
+        ...template,
+        frequency: template.schedule.type,
+        reminders: { enabled: true, ...reminders },
+        templateId: id,
         completed: false,
         userId: 'test-user-id',
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
-      },
-      'habit2': {
-        name: 'Drink Water',
-        description: '8 glasses of water',
-        frequency: 'daily',
-        completed: false,
-        userId: 'test-user-id',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      },
-      'habit3': {
-        name: 'Exercise',
-        description: '30 minutes of physical activity',
-        frequency: 'weekly',
-        completed: false,
-        userId: 'test-user-id',
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      }
-    };
+      };
+    });
     
     // Sample tasks data
     const tasks = {
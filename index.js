@@ -29,6 +29,7 @@ const habitsRoutes = require('./routes/habits');
 const tasksRoutes = require('./routes/tasks');
 const notesRoutes = require('./routes/notes');
 const usersRoutes = require('./routes/users');
+const categoriesRoutes = require('./routes/categories');
 
 // Create Express app
 const app = express();
@@ -52,6 +53,7 @@ app.get('/', (req, res) => {
       { path: '/habits', description: 'Manage your daily and weekly habits' },
       { path: '/tasks', description: 'Manage your tasks and to-dos' },
       { path: '/notes', description: 'Manage your notes and capture your thoughts' },
+      { path: '/categories', description: 'Organize your tasks and habits into categories and projects' },
       { path: '/users', description: 'User management and profile operations' }
     ]
   });
@@ -62,6 +64,7 @@ app.use('/habits', habitsRoutes);
 app.use('/tasks', tasksRoutes);
 app.use('/notes', notesRoutes);
 app.use('/users', usersRoutes);
+app.use('/categories', categoriesRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
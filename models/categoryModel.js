@@ -0,0 +1,144 @@
+const { db } = require('../config/firebase');
+
+const REF_PATH = 'categories';
+
+/**
+ * Get all categories from the database for a specific user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Array of categories sorted by name
+ */
+async function getAllCategories(userId) {
+  try {
+    const snapshot = await db.ref(REF_PATH).orderByChild('userId').equalTo(userId).once('value');
+    const categories = snapshot.val() || {};
+    
+    // Convert from Firebase object format to array format
+    return Object.entries(categories)
+      .map(([id, category]) => ({ id, ...category, parentId: category.parentId || null }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error getting all categories:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a specific category by ID for a specific user
+ * @param {string} id - The category ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The category object or null if not found
+ */
+async function getCategoryById(id, userId) {
+  try {
+    const snapshot = await db.ref(`${REF_PATH}/${id}`).once('value');
+    const category = snapshot.val();
+    
+    if (!category || category.userId !== userId) {
+      return null;
+    }
+    
+    return {
+      id,
+      ...category,
+      parentId: category.parentId || null
+    };
+  } catch (error) {
+    console.error('Error getting category by ID:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new category for a specific user
+ * @param {Object} category - The category data
+ * @param {string} userId - The user ID
+ * @returns {Promise<string>} ID of the new category
+ */
+async function createCategory(category, userId) {
+  try {
+    const categoryWithUser = {
+      ...category,
+      userId: userId,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    
+    // Generate a new key for the category
+    const newCategoryRef = db.ref(REF_PATH).push();
+    await newCategoryRef.set(categoryWithUser);
+    
+    return newCategoryRef.key;
+  } catch (error) {
+    console.error('Error creating category:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update a category for a specific user
+ * @param {string} id - The category ID
+ * @param {Object} updates - The updated category data
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The updated category or null if not found
+ */
+async function updateCategory(id, updates, userId) {
+  try {
+    // Check if category exists and belongs to the user
+    const categorySnapshot = await db.ref(`${REF_PATH}/${id}`).once('value');
+    const category = categorySnapshot.val();
+    
+    if (!category || category.userId !== userId) {
+      return null;
+    }
+    
+    const updatedCategory = {
+      ...updates,
+      updatedAt: new Date().toISOString()
+    };
+    
+    await db.ref(`${REF_PATH}/${id}`).update(updatedCategory);
+    
+    return getCategoryById(id, userId);
+  } catch (error) {
+    console.error('Error updating category:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a category for a specific user. Its subcategories move up to its
+ * parent category.
+ * @param {string} id - The category ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+async function deleteCategory(id, userId) {
+  try {
+    const category = await getCategoryById(id, userId);
+    if (!category) {
+      return false;
+    }
+    
+    const categories = await getAllCategories(userId);
+    const updates = { [id]: null };
+    categories
+      .filter(child => child.parentId === id)
+      .forEach(child => {
+        updates[`${child.id}/parentId`] = category.parentId;
+      });
+    
+    await db.ref(REF_PATH).update(updates);
+    return true;
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getAllCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
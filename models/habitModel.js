@@ -1,22 +1,68 @@
 const { db } = require('../config/firebase');
+const { isSameCategory } = require('../utils/categoryTree');
+const { toDateKey, addDays } = require('../utils/dateUtils');
+const { getHabitSchedule, getPeriodBounds, getCompletionSlot, getPauseOn } = require('../utils/habitSchedule');
+const { calculateStreakStats, getMissedPeriods, getCurrentStreak } = require('../utils/streakService');
+const { getUserSettings, getUserTimeZone, spendStreakFreezes, buildStreakFreezeRefund } = require('./userModel');
 
 const REF_PATH = 'habits';
+const HISTORY_REF_PATH = 'habitCompletions';
+const PROGRESS_REF_PATH = 'habitProgress';
+const EXCUSES_REF_PATH = 'habitExcuses';
+
+/**
+ * Convert a stored habit to the format returned by the model,
+ * expiring streaks that were broken by a missed period
+ * @param {string} id - The habit ID
+ * @param {Object} habit - The stored habit data
+ * @param {Object} settings - The user's settings ({ timezone, streakFreezes })
+ * @returns {Object} The habit with its ID, current streak and pause state
+ */
+function formatHabit(id, habit, { timezone, streakFreezes }) {
+  return {
+    id,
+    ...habit,
+    pausedPeriods: habit.pausedPeriods || [],
+    excusedDates: habit.excusedDates || [],
+    paused: Boolean(getPauseOn(habit, toDateKey(new Date(), timezone))),
+    archived: Boolean(habit.archived),
+    streak: getCurrentStreak(habit, { timeZone: timezone, freezes: streakFreezes })
+  };
+}
+
+/**
+ * End the pauses of a habit that are still running or upcoming on a given day.
+ * Pauses that started earlier end the day before; later ones are dropped.
+ * @param {Array} pausedPeriods - Pause ranges ({ from, to })
+ * @param {string} dateKey - The day from which the habit is active again (YYYY-MM-DD)
+ * @returns {Array} The remaining pause ranges
+ */
+function endPausesFrom(pausedPeriods, dateKey) {
+  return (pausedPeriods || [])
+    .filter(pause => pause.from < dateKey)
+    .map(pause => {
+      const lastDay = addDays(dateKey, -1);
+      return !pause.to || pause.to > lastDay ? { ...pause, to: lastDay } : pause;
+    });
+}
 
 /**
  * Get all habits from the database for a specific user
  * @param {string} userId - The user ID
+ * @param {Object} options - Query options
+ * @param {boolean} options.includeArchived - Whether to include archived habits
  * @returns {Promise<Array>} Array of habits
  */
-async function getAllHabits(userId) {
+async function getAllHabits(userId, { includeArchived = false } = {}) {
   try {
     const snapshot = await db.ref(REF_PATH).orderByChild('userId').equalTo(userId).once('value');
     const habits = snapshot.val() || {};
+    const settings = await getUserSettings(userId);
     
     // Convert from Firebase object format to array format
-    return Object.entries(habits).map(([id, habit]) => ({
-      id,
-      ...habit
-    }));
+    return Object.entries(habits)
+      .filter(([, habit]) => includeArchived || !habit.archived)
+      .map(([id, habit]) => formatHabit(id, habit, settings));
   } catch (error) {
     console.error('Error getting all habits:', error);
     throw error;
@@ -32,13 +78,41 @@ async function getAllHabits(userId) {
 async function getHabitsByCategory(category, userId) {
   try {
     const allHabits = await getAllHabits(userId);
-    return allHabits.filter(habit => habit.category === category);
+    return allHabits.filter(habit => isSameCategory(habit.category, category));
   } catch (error) {
     console.error('Error getting habits by category:', error);
     throw error;
   }
 }
 
+/**
+ * Move all habits of a user from one category to another, e.g. when a
+ * category is renamed. Category names are matched ignoring case.
+ * @param {string} from - The current category name
+ * @param {string} to - The new category name
+ * @param {string} userId - The user ID
+ * @returns {Promise<number>} Number of habits moved
+ */
+async function renameHabitCategory(from, to, userId) {
+  try {
+    const snapshot = await db.ref(REF_PATH).orderByChild('userId').equalTo(userId).once('value');
+    const updates = {};
+    Object.entries(snapshot.val() || {}).forEach(([habitId, habit]) => {
+      if (isSameCategory(habit.category, from)) {
+        updates[`${habitId}/category`] = to;
+      }
+    });
+    
+    if (Object.keys(updates).length > 0) {
+      await db.ref(REF_PATH).update(updates);
+    }
+    return Object.keys(updates).length;
+  } catch (error) {
+    console.error('Error renaming habit category:', error);
+    throw error;
+  }
+}
+
 /**
  * Get a specific habit by ID for a specific user
  * @param {string} id - The habit ID
@@ -54,10 +128,8 @@ async function getHabitById(id, userId) {
       return null;
     }
     
-    return {
-      id,
-      ...habit
-    };
+    const settings = await getUserSettings(userId);
+    return formatHabit(id, habit, settings);
   } catch (error) {
     console.error('Error getting habit by ID:', error);
     throw error;
@@ -76,8 +148,13 @@ async function createHabit(habit, userId) {
       ...habit,
       userId: userId,
       category: habit.category || 'General', // Default category if not provided
-      streak: 0, // Initialize streak at 0
-      lastCompletedAt: null, // Track when the habit was last completed
+      // Streak fields are derived from the completion history
+      streak: 0,
+      longestStreak: 0,
+      lastCompletedAt: null,
+      lastCountedDate: null,
+      excusedDates: [],
+      streakResetAt: null,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
@@ -140,7 +217,13 @@ async function deleteHabit(id, userId) {
       return false;
     }
     
-    await db.ref(`${REF_PATH}/${id}`).remove();
+    // Remove the habit together with its completion history, progress log and excused days
+    await db.ref().update({
+      [`${REF_PATH}/${id}`]: null,
+      [`${HISTORY_REF_PATH}/${id}`]: null,
+      [`${PROGRESS_REF_PATH}/${id}`]: null,
+      [`${EXCUSES_REF_PATH}/${id}`]: null
+    });
     return true;
   } catch (error) {
     console.error('Error deleting habit:', error);
@@ -149,37 +232,400 @@ async function deleteHabit(id, userId) {
 }
 
 /**
- * Increment the streak counter for a habit
+ * Get the completion history of a habit for a specific user
+ * @param {string} id - The habit ID
+ * @param {string} userId - The user ID
+ * @param {Object} range - Optional date range
+ * @param {string} range.from - First day to include (YYYY-MM-DD)
+ * @param {string} range.to - Last day to include (YYYY-MM-DD)
+ * @returns {Promise<Array|null>} Completion entries sorted by date, or null if the habit was not found
+ */
+async function getHabitHistory(id, userId, { from, to } = {}) {
+  try {
+    const habit = await getHabitById(id, userId);
+    if (!habit) {
+      return null;
+    }
+    
+    let query = db.ref(`${HISTORY_REF_PATH}/${id}`).orderByChild('date');
+    if (from) query = query.startAt(from);
+    if (to) query = query.endAt(to);
+    
+    const snapshot = await query.once('value');
+    const entries = snapshot.val() || {};
+    
+    return Object.entries(entries)
+      .map(([entryId, entry]) => ({ id: entryId, ...entry }))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.completedAt.localeCompare(b.completedAt));
+  } catch (error) {
+    console.error('Error getting habit history:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the excused days (skips and streak freezes) of a habit for a specific user
+ * @param {string} id - The habit ID
+ * @param {string} userId - The user ID
+ * @param {Object} range - Optional date range
+ * @param {string} range.from - First day to include (YYYY-MM-DD)
+ * @param {string} range.to - Last day to include (YYYY-MM-DD)
+ * @returns {Promise<Array|null>} Excuse entries sorted by date, or null if the habit was not found
+ */
+async function getHabitExcuses(id, userId, { from, to } = {}) {
+  try {
+    const habit = await getHabitById(id, userId);
+    if (!habit) {
+      return null;
+    }
+    
+    let query = db.ref(`${EXCUSES_REF_PATH}/${id}`).orderByChild('date');
+    if (from) query = query.startAt(from);
+    if (to) query = query.endAt(to);
+    
+    const snapshot = await query.once('value');
+    const entries = snapshot.val() || {};
+    
+    return Object.entries(entries)
+      .map(([entryId, entry]) => ({ id: entryId, ...entry }))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+  } catch (error) {
+    console.error('Error getting habit excuses:', error);
+    throw error;
+  }
+}
+
+/**
+ * Recalculate the derived streak fields of a habit from its completion history
  * @param {string} id - The habit ID
  * @param {string} userId - The user ID
  * @returns {Promise<Object|null>} The updated habit or null if not found
  */
-async function incrementHabitStreak(id, userId) {
+async function refreshHabitStreak(id, userId) {
   try {
     const habit = await getHabitById(id, userId);
     if (!habit) {
       return null;
     }
     
-    // Calculate the current streak
-    const currentStreak = habit.streak || 0;
-    const newStreak = currentStreak + 1;
+    // The stored streak ignores periods missed since the last completion;
+    // formatHabit expires it once they can't be covered by streak freezes
+    const history = await getHabitHistory(id, userId);
+    const stats = calculateStreakStats(history, {
+      schedule: getHabitSchedule(habit),
+      pausedPeriods: habit.pausedPeriods,
+      excuses: await getHabitExcuses(id, userId),
+      freezes: Infinity,
+      resetAt: habit.streakResetAt,
+      timeZone: await getUserTimeZone(userId)
+    });
     
-    // Update the habit with the new streak count and completion timestamp
-    const updatedHabit = await updateHabit(id, {
-      streak: newStreak,
-      lastCompletedAt: new Date().toISOString()
-    }, userId);
+    return updateHabit(id, stats, userId);
+  } catch (error) {
+    console.error('Error refreshing habit streak:', error);
+    throw error;
+  }
+}
+
+/**
+ * Spend the user's streak freezes on the periods a habit has missed since its
+ * last counted period, if there are enough freezes to cover all of them.
+ * Each used freeze is recorded as an excused day, along with the completion
+ * it was used for, so that undoing the completion gives it back.
+ * @param {string} id - The habit ID
+ * @param {Object} habit - The habit, as returned by getHabitById
+ * @param {string} userId - The user ID
+ * @param {string} completionId - The ID of the completion the freezes are used for
+ * @returns {Promise<number>} Number of freezes used
+ */
+async function useStreakFreezes(id, habit, userId, completionId) {
+  try {
+    // Broken streaks are not worth saving
+    if (!habit.streak) {
+      return 0;
+    }
+    
+    const missed = getMissedPeriods(habit, { timeZone: await getUserTimeZone(userId) });
+    if (missed.length === 0) {
+      return 0;
+    }
+    
+    // The excused days are only recorded once the freezes are taken
+    const spent = await spendStreakFreezes(userId, missed.length);
+    if (!spent) {
+      return 0;
+    }
+    
+    const createdAt = new Date().toISOString();
+    const updates = {};
+    missed.forEach(({ date }) => {
+      const entryKey = db.ref(`${EXCUSES_REF_PATH}/${id}`).push().key;
+      updates[`${EXCUSES_REF_PATH}/${id}/${entryKey}`] = { date, type: 'freeze', note: '', completionId, createdAt };
+    });
+    
+    await db.ref().update(updates);
+    
+    return missed.length;
+  } catch (error) {
+    console.error('Error using streak freezes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a completion of a habit and update its streak.
+ * Only the first completion in each period of the habit schedule is recorded
+ * (or each day, for timesPerWeek schedules); later ones are reported as not counted.
+ * Periods missed since the last completion are covered by streak freezes if
+ * the user has enough of them left.
+ * @param {string} id - The habit ID
+ * @param {string} userId - The user ID
+ * @param {Object} details - Completion details
+ * @param {string} details.note - Optional note for the completion
+ * @param {string} details.date - Day to record the completion for (YYYY-MM-DD, defaults to today)
+ * @returns {Promise<Object|null>} { habit, completion, counted, period, freezesUsed } or null if not found
+ */
+async function completeHabit(id, userId, { note, date } = {}) {
+  try {
+    const habit = await getHabitById(id, userId);
+    if (!habit) {
+      return null;
+    }
+    
+    // Completions are dated by the calendar day in the user's timezone
+    const completedAt = new Date().toISOString();
+    const today = toDateKey(completedAt, await getUserTimeZone(userId));
+    if (!date) {
+      date = today;
+    }
+    const schedule = getHabitSchedule(habit);
+    const period = getPeriodBounds(date, schedule);
+    const slot = getCompletionSlot(date, schedule);
+    
+    // Completions from before a streak reset don't block a new one
+    const slotHistory = await getHabitHistory(id, userId, { from: slot.start, to: slot.end });
+    const existingCompletion = slotHistory.find(entry => {
+      return !habit.streakResetAt || entry.completedAt > habit.streakResetAt;
+    });
+    
+    if (existingCompletion) {
+      return {
+        habit,
+        completion: existingCompletion,
+        counted: false,
+        period,
+        freezesUsed: 0
+      };
+    }
+    
+    const newEntryRef = db.ref(`${HISTORY_REF_PATH}/${id}`).push();
+    
+    // Backfilled completions fill in the history instead of continuing the streak
+    const freezesUsed = date === today ? await useStreakFreezes(id, habit, userId, newEntryRef.key) : 0;
+    
+    const completion = {
+      date,
+      note: note || '',
+      completedAt
+    };
+    
+    await newEntryRef.set(completion);
+    
+    const updatedHabit = await refreshHabitStreak(id, userId);
+    
+    return {
+      habit: updatedHabit,
+      completion: { id: newEntryRef.key, ...completion },
+      counted: true,
+      period,
+      freezesUsed
+    };
+  } catch (error) {
+    console.error('Error completing habit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove the completions of a habit recorded for a given day and recalculate
+ * its streak and lastCompletedAt. For quantitative habits, the progress logged
+ * in the same completion range is removed too, as it would otherwise complete
+ * the habit again with the next logged amount. Streak freezes used for the
+ * completions are given back and their excused days removed.
+ * @param {string} id - The habit ID
+ * @param {string} userId - The user ID
+ * @param {string} date - The day (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} { habit, removed, progressRemoved } or null if the habit was not found
+ */
+async function removeHabitCompletion(id, userId, date) {
+  try {
+    const habit = await getHabitById(id, userId);
+    if (!habit) {
+      return null;
+    }
+    
+    const entries = await getHabitHistory(id, userId, { from: date, to: date });
+    if (entries.length === 0) {
+      return { habit, removed: 0, progressRemoved: 0 };
+    }
+    
+    const slot = getCompletionSlot(date, getHabitSchedule(habit));
+    const progressEntries = habit.target
+      ? await getHabitProgress(id, userId, { from: slot.start, to: slot.end })
+      : [];
+    
+    const completionIds = entries.map(entry => entry.id);
+    const freezes = (await getHabitExcuses(id, userId))
+      .filter(excuse => excuse.type === 'freeze' && completionIds.includes(excuse.completionId));
+    
+    // The completions, their progress and their freezes are removed together
+    const updates = {};
+    entries.forEach(entry => {
+      updates[`${HISTORY_REF_PATH}/${id}/${entry.id}`] = null;
+    });
+    progressEntries.forEach(entry => {
+      updates[`${PROGRESS_REF_PATH}/${id}/${entry.id}`] = null;
+    });
+    freezes.forEach(excuse => {
+      updates[`${EXCUSES_REF_PATH}/${id}/${excuse.id}`] = null;
+    });
+    if (freezes.length > 0) {
+      Object.assign(updates, await buildStreakFreezeRefund(userId, freezes.length, freezes[0].createdAt));
+    }
+    await db.ref().update(updates);
+    
+    const updatedHabit = await refreshHabitStreak(id, userId);
+    
+    return { habit: updatedHabit, removed: entries.length, progressRemoved: progressEntries.length };
+  } catch (error) {
+    console.error('Error removing habit completion:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the progress log of a quantitative habit for a specific user
+ * @param {string} id - The habit ID
+ * @param {string} userId - The user ID
+ * @param {Object} range - Optional date range
+ * @param {string} range.from - First day to include (YYYY-MM-DD)
+ * @param {string} range.to - Last day to include (YYYY-MM-DD)
+ * @returns {Promise<Array|null>} Progress entries sorted by time, or null if the habit was not found
+ */
+async function getHabitProgress(id, userId, { from, to } = {}) {
+  try {
+    const habit = await getHabitById(id, userId);
+    if (!habit) {
+      return null;
+    }
+    
+    let query = db.ref(`${PROGRESS_REF_PATH}/${id}`).orderByChild('date');
+    if (from) query = query.startAt(from);
+    if (to) query = query.endAt(to);
+    
+    const snapshot = await query.once('value');
+    const entries = snapshot.val() || {};
+    
+    return Object.entries(entries)
+      .map(([entryId, entry]) => ({ id: entryId, ...entry }))
+      .sort((a, b) => a.loggedAt.localeCompare(b.loggedAt));
+  } catch (error) {
+    console.error('Error getting habit progress:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the progress of a quantitative habit towards its target for a given day.
+ * Progress adds up over the same range in which one completion is recorded
+ * (the schedule period, or the day for timesPerWeek schedules).
+ * @param {string} id - The habit ID
+ * @param {string} userId - The user ID
+ * @param {string} date - The day key (defaults to today in the user's timezone)
+ * @returns {Promise<Object|null>} { amount, target, unit, from, to, reached } or null if not found
+ */
+async function getHabitProgressSummary(id, userId, date) {
+  try {
+    const habit = await getHabitById(id, userId);
+    if (!habit) {
+      return null;
+    }
+    
+    if (!date) {
+      date = toDateKey(new Date(), await getUserTimeZone(userId));
+    }
     
-    return updatedHabit;
+    const slot = getCompletionSlot(date, getHabitSchedule(habit));
+    const entries = await getHabitProgress(id, userId, { from: slot.start, to: slot.end });
+    const amount = entries.reduce((total, entry) => total + entry.amount, 0);
+    
+    return {
+      amount,
+      target: habit.target || null,
+      unit: habit.unit || '',
+      from: slot.start,
+      to: slot.end,
+      reached: Boolean(habit.target) && amount >= habit.target
+    };
   } catch (error) {
-    console.error('Error incrementing habit streak:', error);
+    console.error('Error getting habit progress summary:', error);
+    throw error;
+  }
+}
+
+/**
+ * Log an increment of progress for a quantitative habit (e.g. +1 glass).
+ * The habit is completed automatically once the target is reached.
+ * @param {string} id - The habit ID
+ * @param {string} userId - The user ID
+ * @param {Object} details - Progress details
+ * @param {number} details.amount - The amount to add
+ * @param {string} details.note - Optional note for the entry
+ * @returns {Promise<Object|null>} { habit, entry, progress, completion, counted } or null if not found
+ */
+async function logHabitProgress(id, userId, { amount, note } = {}) {
+  try {
+    const habit = await getHabitById(id, userId);
+    if (!habit) {
+      return null;
+    }
+    
+    const loggedAt = new Date().toISOString();
+    const entry = {
+      date: toDateKey(loggedAt, await getUserTimeZone(userId)),
+      amount,
+      note: note || '',
+      loggedAt
+    };
+    
+    const newEntryRef = db.ref(`${PROGRESS_REF_PATH}/${id}`).push();
+    await newEntryRef.set(entry);
+    
+    const progress = await getHabitProgressSummary(id, userId, entry.date);
+    
+    // Reaching the target completes the habit for the period
+    let result = { habit, completion: null, counted: false };
+    if (progress.reached) {
+      result = await completeHabit(id, userId, { note });
+    }
+    
+    return {
+      habit: result.habit,
+      entry: { id: newEntryRef.key, ...entry },
+      progress,
+      completion: result.completion,
+      counted: result.counted
+    };
+  } catch (error) {
+    console.error('Error logging habit progress:', error);
     throw error;
   }
 }
 
 /**
  * Reset the streak counter for a habit back to 0
+ * The completion history is kept, but earlier completions no longer count
+ * towards the current streak
  * @param {string} id - The habit ID
  * @param {string} userId - The user ID
  * @returns {Promise<Object|null>} The updated habit or null if not found
@@ -191,26 +637,180 @@ async function resetHabitStreak(id, userId) {
       return null;
     }
     
-    // Reset streak to 0 and clear lastCompletedAt
-    const updatedHabit = await updateHabit(id, {
-      streak: 0,
-      lastCompletedAt: null
-    }, userId);
+    await updateHabit(id, { streakResetAt: new Date().toISOString() }, userId);
     
-    return updatedHabit;
+    return refreshHabitStreak(id, userId);
   } catch (error) {
     console.error('Error resetting habit streak:', error);
     throw error;
   }
 }
 
+/**
+ * Pause a habit for a range of days. Missed days while paused don't break
+ * the streak. Earlier pauses are cut short where the new one begins.
+ * @param {string} id - The habit ID
+ * @param {string} userId - The user ID
+ * @param {Object} range - The pause range
+ * @param {string} range.from - First paused day (YYYY-MM-DD, defaults to today)
+ * @param {string} range.to - Last paused day (YYYY-MM-DD), omit to pause until resumed
+ * @returns {Promise<Object|null>} The updated habit or null if not found
+ */
+async function pauseHabit(id, userId, { from, to } = {}) {
+  try {
+    const habit = await getHabitById(id, userId);
+    if (!habit) {
+      return null;
+    }
+    
+    const pause = { from, to: to || null };
+    const pausedPeriods = [...endPausesFrom(habit.pausedPeriods, from), pause];
+    
+    await updateHabit(id, { pausedPeriods }, userId);
+    
+    return refreshHabitStreak(id, userId);
+  } catch (error) {
+    console.error('Error pausing habit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resume a paused habit from today, ending the running pause and dropping
+ * upcoming ones
+ * @param {string} id - The habit ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The updated habit or null if not found
+ */
+async function resumeHabit(id, userId) {
+  try {
+    const habit = await getHabitById(id, userId);
+    if (!habit) {
+      return null;
+    }
+    
+    const today = toDateKey(new Date(), await getUserTimeZone(userId));
+    await updateHabit(id, { pausedPeriods: endPausesFrom(habit.pausedPeriods, today) }, userId);
+    
+    return refreshHabitStreak(id, userId);
+  } catch (error) {
+    console.error('Error resuming habit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Archive or unarchive a habit. Archived habits keep their history but are
+ * hidden from habit lists and get no reminders.
+ * @param {string} id - The habit ID
+ * @param {string} userId - The user ID
+ * @param {boolean} archived - Whether the habit should be archived
+ * @returns {Promise<Object|null>} The updated habit or null if not found
+ */
+async function setHabitArchived(id, userId, archived) {
+  try {
+    return updateHabit(id, {
+      archived,
+      archivedAt: archived ? new Date().toISOString() : null
+    }, userId);
+  } catch (error) {
+    console.error('Error archiving habit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark the period containing a day as skipped, so it doesn't break the streak.
+ * A period is only skipped once; later skips are reported as not created.
+ * @param {string} id - The habit ID
+ * @param {string} userId - The user ID
+ * @param {Object} details - Skip details
+ * @param {string} details.date - A day in the skipped period (YYYY-MM-DD)
+ * @param {string} details.note - Optional reason for the skip
+ * @returns {Promise<Object|null>} { habit, skip, created, period } or null if not found
+ */
+async function skipHabit(id, userId, { date, note } = {}) {
+  try {
+    const habit = await getHabitById(id, userId);
+    if (!habit) {
+      return null;
+    }
+    
+    const period = getPeriodBounds(date, getHabitSchedule(habit));
+    const periodExcuses = await getHabitExcuses(id, userId, { from: period.start, to: period.end });
+    
+    if (periodExcuses.length > 0) {
+      return {
+        habit,
+        skip: periodExcuses[0],
+        created: false,
+        period
+      };
+    }
+    
+    const skip = {
+      date,
+      type: 'skip',
+      note: note || '',
+      createdAt: new Date().toISOString()
+    };
+    
+    const newEntryRef = db.ref(`${EXCUSES_REF_PATH}/${id}`).push();
+    await newEntryRef.set(skip);
+    
+    const updatedHabit = await refreshHabitStreak(id, userId);
+    
+    return {
+      habit: updatedHabit,
+      skip: { id: newEntryRef.key, ...skip },
+      created: true,
+      period
+    };
+  } catch (error) {
+    console.error('Error skipping habit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save new manual order positions of habits
+ * @param {Object} positions - New positions keyed by habit ID
+ * @returns {Promise<void>}
+ */
+async function updateHabitPositions(positions) {
+  try {
+    const updates = {};
+    Object.entries(positions).forEach(([habitId, position]) => {
+      updates[`${habitId}/position`] = position;
+    });
+    
+    await db.ref(REF_PATH).update(updates);
+  } catch (error) {
+    console.error('Error updating habit positions:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   getAllHabits,
   getHabitsByCategory,
+  renameHabitCategory,
   getHabitById,
   createHabit,
   updateHabit,
   deleteHabit,
-  incrementHabitStreak,
-  resetHabitStreak
+  getHabitHistory,
+  getHabitExcuses,
+  refreshHabitStreak,
+  completeHabit,
+  removeHabitCompletion,
+  getHabitProgress,
+  getHabitProgressSummary,
+  logHabitProgress,
+  resetHabitStreak,
+  skipHabit,
+  pauseHabit,
+  resumeHabit,
+  setHabitArchived,
+  updateHabitPositions
 }; 
\ No newline at end of file
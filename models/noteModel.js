@@ -1,6 +1,57 @@
 const { db } = require('../config/firebase');
+const { tokenize, buildNoteTerms, scoreNote, findMatches, buildSnippet } = require('../utils/noteSearch');
+const { replaceTags } = require('../utils/noteTags');
 
 const REF_PATH = 'notes';
+const SEARCH_INDEX_REF_PATH = 'noteSearchIndex';
+
+// Bump when the way notes are indexed changes, so that indexes get rebuilt
+const SEARCH_INDEX_VERSION = 2;
+
+// Terms are stored under prefixed keys: the database orders keys that look
+// like integers (e.g. "2024") numerically, before all other keys, which would
+// break looking up terms by prefix
+const TERM_KEY_PREFIX = 't_';
+
+/**
+ * Build the updates that bring the search index entries of a note up to date
+ * @param {string} id - The note ID
+ * @param {string} userId - The user ID
+ * @param {Object|null} previous - The note before the change, or null for a new note
+ * @param {Object|null} current - The note after the change, or null for a deleted note
+ * @returns {Object} Multi-path updates relative to the database root
+ */
+function buildIndexUpdates(id, userId, previous, current) {
+  const previousTerms = previous ? buildNoteTerms(previous) : {};
+  const currentTerms = current ? buildNoteTerms(current) : {};
+  const updates = {};
+  
+  Object.keys(previousTerms)
+    .filter(term => !currentTerms[term])
+    .forEach(term => {
+      updates[`${SEARCH_INDEX_REF_PATH}/${userId}/terms/${TERM_KEY_PREFIX}${term}/${id}`] = null;
+    });
+  Object.entries(currentTerms).forEach(([term, counts]) => {
+    updates[`${SEARCH_INDEX_REF_PATH}/${userId}/terms/${TERM_KEY_PREFIX}${term}/${id}`] = counts;
+  });
+  
+  return updates;
+}
+
+/**
+ * Format a note from the database for the API
+ * @param {string} id - The note ID
+ * @param {Object} note - The note data
+ * @returns {Object} The note with its ID and tags
+ */
+function formatNote(id, note) {
+  return {
+    id,
+    ...note,
+    // Empty lists aren't stored in the database
+    tags: note.tags || []
+  };
+}
 
 /**
  * Get all notes from the database for a specific user
@@ -13,10 +64,7 @@ async function getAllNotes(userId) {
     const notes = snapshot.val() || {};
     
     // Convert from Firebase object format to array format
-    return Object.entries(notes).map(([id, note]) => ({
-      id,
-      ...note
-    }));
+    return Object.entries(notes).map(([id, note]) => formatNote(id, note));
   } catch (error) {
     console.error('Error getting all notes:', error);
     throw error;
@@ -38,10 +86,7 @@ async function getNoteById(id, userId) {
       return null;
     }
     
-    return {
-      id,
-      ...note
-    };
+    return formatNote(id, note);
   } catch (error) {
     console.error('Error getting note by ID:', error);
     throw error;
@@ -65,7 +110,12 @@ async function createNote(note, userId) {
     
     // Generate a new key for the note
     const newNoteRef = db.ref(REF_PATH).push();
-    await newNoteRef.set(noteWithUser);
+    
+    // The note and its search index entries are written together
+    await db.ref().update({
+      [`${REF_PATH}/${newNoteRef.key}`]: noteWithUser,
+      ...buildIndexUpdates(newNoteRef.key, userId, null, noteWithUser)
+    });
     
     return newNoteRef.key;
   } catch (error) {
@@ -96,7 +146,15 @@ async function updateNote(id, updates, userId) {
       updatedAt: new Date().toISOString()
     };
     
-    await db.ref(`${REF_PATH}/${id}`).update(updatedNote);
+    // Only a new title or content changes the search index
+    const rootUpdates = updates.title !== undefined || updates.content !== undefined
+      ? buildIndexUpdates(id, userId, note, { ...note, ...updates })
+      : {};
+    Object.entries(updatedNote).forEach(([field, value]) => {
+      rootUpdates[`${REF_PATH}/${id}/${field}`] = value;
+    });
+    
+    await db.ref().update(rootUpdates);
     
     return getNoteById(id, userId);
   } catch (error) {
@@ -121,7 +179,10 @@ async function deleteNote(id, userId) {
       return false;
     }
     
-    await db.ref(`${REF_PATH}/${id}`).remove();
+    await db.ref().update({
+      [`${REF_PATH}/${id}`]: null,
+      ...buildIndexUpdates(id, userId, note, null)
+    });
     return true;
   } catch (error) {
     console.error('Error deleting note:', error);
@@ -168,6 +229,144 @@ async function getFavoriteNotes(userId) {
   }
 }
 
+/**
+ * Save new manual order positions of notes
+ * @param {Object} positions - New positions keyed by note ID
+ * @returns {Promise<void>}
+ */
+async function updateNotePositions(positions) {
+  try {
+    const updates = {};
+    Object.entries(positions).forEach(([noteId, position]) => {
+      updates[`${noteId}/position`] = position;
+    });
+    
+    await db.ref(REF_PATH).update(updates);
+  } catch (error) {
+    console.error('Error updating note positions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace tags with another tag on all notes of a specific user. Notes that
+ * already have the new tag keep it once.
+ * @param {Array<string>} from - The tags to replace
+ * @param {string} to - The tag to replace them with
+ * @param {string} userId - The user ID
+ * @returns {Promise<number>} The number of notes that were changed
+ */
+async function renameNoteTags(from, to, userId) {
+  try {
+    const notes = await getAllNotes(userId);
+    const changedNotes = notes.filter(note => note.tags.some(tag => from.includes(tag)));
+    if (changedNotes.length === 0) {
+      return 0;
+    }
+    
+    const updatedAt = new Date().toISOString();
+    const updates = {};
+    changedNotes.forEach(note => {
+      updates[`${note.id}/tags`] = replaceTags(note.tags, from, to);
+      updates[`${note.id}/updatedAt`] = updatedAt;
+    });
+    
+    await db.ref(REF_PATH).update(updates);
+    return changedNotes.length;
+  } catch (error) {
+    console.error('Error renaming note tags:', error);
+    throw error;
+  }
+}
+
+/**
+ * Rebuild the search index of a user's notes from scratch
+ * @param {string} userId - The user ID
+ * @returns {Promise<void>}
+ */
+async function rebuildNoteSearchIndex(userId) {
+  try {
+    const notes = await getAllNotes(userId);
+    const terms = {};
+    notes.forEach(note => {
+      Object.entries(buildNoteTerms(note)).forEach(([term, counts]) => {
+        const key = `${TERM_KEY_PREFIX}${term}`;
+        terms[key] = { ...terms[key], [note.id]: counts };
+      });
+    });
+    
+    await db.ref(`${SEARCH_INDEX_REF_PATH}/${userId}`).set({ version: SEARCH_INDEX_VERSION, terms });
+  } catch (error) {
+    console.error('Error rebuilding note search index:', error);
+    throw error;
+  }
+}
+
+/**
+ * Search the title and content of a user's notes, ignoring case and accents.
+ * Every word of the query must match a word of a note, or the beginning of
+ * one. Notes are looked up in the search index instead of being scanned;
+ * the index is rebuilt first if it is missing or outdated.
+ * @param {string} userId - The user ID
+ * @param {string} query - The search text
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Maximum number of results
+ * @returns {Promise<Object>} { total, results } with the best matches first; each result is
+ *   the note without its content, with its `score`, `titleHighlights` and a content `snippet`
+ */
+async function searchNotes(userId, query, { limit = 20 } = {}) {
+  try {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) {
+      return { total: 0, results: [] };
+    }
+    
+    const versionSnapshot = await db.ref(`${SEARCH_INDEX_REF_PATH}/${userId}/version`).once('value');
+    if (versionSnapshot.val() !== SEARCH_INDEX_VERSION) {
+      await rebuildNoteSearchIndex(userId);
+    }
+    
+    // Each query term matches the indexed terms that start with it
+    const termSnapshots = await Promise.all(queryTerms.map(term => {
+      const key = `${TERM_KEY_PREFIX}${term}`;
+      return db.ref(`${SEARCH_INDEX_REF_PATH}/${userId}/terms`).orderByKey().startAt(key).endAt(`${key}\uf8ff`).once('value');
+    }));
+    
+    const matchesByNote = new Map();
+    termSnapshots.forEach((snapshot, index) => {
+      Object.entries(snapshot.val() || {}).forEach(([key, notes]) => {
+        const term = key.slice(TERM_KEY_PREFIX.length);
+        Object.entries(notes).forEach(([noteId, counts]) => {
+          if (!matchesByNote.has(noteId)) matchesByNote.set(noteId, queryTerms.map(() => new Map()));
+          matchesByNote.get(noteId)[index].set(term, counts);
+        });
+      });
+    });
+    
+    // Equally relevant notes are listed newest first, as push IDs sort by creation time
+    const scored = [...matchesByNote.entries()]
+      .map(([noteId, matches]) => ({ noteId, score: scoreNote(queryTerms, matches) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || (a.noteId < b.noteId ? 1 : -1));
+    
+    const notes = await Promise.all(scored.slice(0, limit).map(({ noteId }) => getNoteById(noteId, userId)));
+    const results = notes
+      .map((note, index) => note && ({ note, score: scored[index].score }))
+      .filter(Boolean)
+      .map(({ note: { content, ...note }, score }) => ({
+        ...note,
+        score,
+        titleHighlights: findMatches(note.title || '', queryTerms),
+        snippet: buildSnippet(content, queryTerms)
+      }));
+    
+    return { total: scored.length, results };
+  } catch (error) {
+    console.error('Error searching notes:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   getAllNotes,
   getNoteById,
@@ -175,5 +374,9 @@ module.exports = {
   updateNote,
   deleteNote,
   toggleNoteFavorite,
-  getFavoriteNotes
+  getFavoriteNotes,
+  updateNotePositions,
+  renameNoteTags,
+  rebuildNoteSearchIndex,
+  searchNotes
 }; 
\ No newline at end of file
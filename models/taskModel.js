@@ -1,6 +1,78 @@
-const { db } = require('../config/firebase');
+const { admin, db } = require('../config/firebase');
+const { isSameCategory } = require('../utils/categoryTree');
+const { getNextDueDate } = require('../utils/taskRecurrence');
+const { getOpenBlockers, getUpstream, getDownstream } = require('../utils/taskDependencies');
+const { getTaskStatus } = require('../utils/taskStatus');
+const { getUserSettings, getUserTimeZone } = require('./userModel');
 
 const REF_PATH = 'tasks';
+const TIME_ENTRIES_REF_PATH = 'taskTimeEntries';
+const TIMERS_REF_PATH = 'taskTimers';
+const POSTPONEMENTS_REF_PATH = 'taskPostponements';
+
+/**
+ * Convert a stored task to the format returned by the model, with its
+ * subtasks as an ordered list, the share of completed subtasks, the IDs
+ * of the tasks it is blocked by and the time tracked on it
+ * @param {string} id - The task ID
+ * @param {Object} task - The stored task data
+ * @returns {Object} The task with its ID, subtasks, progress, blockers and tracked time
+ */
+function formatTask(id, task) {
+  const subtasks = Object.entries(task.subtasks || {})
+    .map(([subtaskId, subtask]) => ({ id: subtaskId, ...subtask }))
+    .sort((a, b) => a.position - b.position);
+  const completedSubtasks = subtasks.filter(subtask => subtask.completed).length;
+  
+  return {
+    id,
+    ...task,
+    subtasks,
+    blockedBy: Object.keys(task.blockedBy || {}),
+    trackedSeconds: task.trackedSeconds || 0,
+    snoozeCount: task.snoozeCount || 0,
+    deferCount: task.deferCount || 0,
+    // Percentage of completed subtasks, or of the task itself if it has none
+    progress: subtasks.length > 0
+      ? Math.round((completedSubtasks / subtasks.length) * 100)
+      : (task.completed ? 100 : 0)
+  };
+}
+
+/**
+ * Build the stored form of a list of checklist items
+ * @param {Array<string>} titles - The subtask titles, in order
+ * @param {number} firstPosition - Position of the first subtask
+ * @returns {Object} Subtasks keyed by new IDs
+ */
+function buildSubtasks(titles, firstPosition = 0) {
+  const createdAt = new Date().toISOString();
+  
+  return titles.reduce((subtasks, title, index) => {
+    const subtaskId = db.ref(REF_PATH).push().key;
+    subtasks[subtaskId] = {
+      title,
+      completed: false,
+      position: firstPosition + index,
+      createdAt
+    };
+    return subtasks;
+  }, {});
+}
+
+/**
+ * Flag a formatted task as blocked if any of the tasks it depends on is
+ * still open
+ * @param {Object} task - The formatted task
+ * @param {Map<string, Object>} tasksById - The user's tasks (at least its blockers) keyed by ID
+ * @returns {Object} The task with `blocked` set
+ */
+function withBlockedState(task, tasksById) {
+  return {
+    ...task,
+    blocked: getOpenBlockers(task, tasksById).length > 0
+  };
+}
 
 /**
  * Get all tasks from the database for a specific user
@@ -13,9 +85,12 @@ async function getAllTasks(userId) {
     const tasks = snapshot.val() || {};
     
     // Convert from Firebase object format to array format
-    const taskArray = Object.entries(tasks).map(([id, task]) => ({
-      id,
-      ...task
+    const formattedTasks = Object.entries(tasks).map(([id, task]) => formatTask(id, task));
+    const tasksById = new Map(formattedTasks.map(task => [task.id, task]));
+    const { taskStatuses } = await getUserSettings(userId);
+    const taskArray = formattedTasks.map(task => ({
+      ...withBlockedState(task, tasksById),
+      status: getTaskStatus(task, taskStatuses)
     }));
     
     // Sort by dueDate
@@ -45,9 +120,24 @@ async function getTaskById(id, userId) {
       return null;
     }
     
+    const formattedTask = formatTask(id, task);
+    
+    // Only the blockers are needed to tell whether the task is blocked
+    const blockerSnapshots = await Promise.all(
+      formattedTask.blockedBy.map(blockerId => db.ref(`${REF_PATH}/${blockerId}`).once('value'))
+    );
+    const blockers = new Map();
+    blockerSnapshots.forEach(blockerSnapshot => {
+      const blocker = blockerSnapshot.val();
+      if (blocker && blocker.userId === userId) {
+        blockers.set(blockerSnapshot.key, formatTask(blockerSnapshot.key, blocker));
+      }
+    });
+    
+    const { taskStatuses } = await getUserSettings(userId);
     return {
-      id,
-      ...task
+      ...withBlockedState(formattedTask, blockers),
+      status: getTaskStatus(formattedTask, taskStatuses)
     };
   } catch (error) {
     console.error('Error getting task by ID:', error);
@@ -103,6 +193,11 @@ async function updateTask(id, updates, userId) {
       updatedAt: new Date().toISOString()
     };
     
+    // Completing a task records when it happened; reopening it clears that again
+    if (updates.completed !== undefined && updates.completed !== Boolean(task.completed)) {
+      updatedTask.completedAt = updates.completed ? updatedTask.updatedAt : null;
+    }
+    
     await db.ref(`${REF_PATH}/${id}`).update(updatedTask);
     
     return getTaskById(id, userId);
@@ -128,7 +223,32 @@ async function deleteTask(id, userId) {
       return false;
     }
     
-    await db.ref(`${REF_PATH}/${id}`).remove();
+    // Tasks blocked by this one no longer depend on it
+    const userTasksSnapshot = await db.ref(REF_PATH).orderByChild('userId').equalTo(userId).once('value');
+    const updates = { [`${REF_PATH}/${id}`]: null };
+    Object.entries(userTasksSnapshot.val() || {}).forEach(([otherId, otherTask]) => {
+      if (otherTask.blockedBy && otherTask.blockedBy[id]) {
+        updates[`${REF_PATH}/${otherId}/blockedBy/${id}`] = null;
+      }
+    });
+    
+    // Time tracked on the task goes with it
+    const entries = await getUserTimeEntries(userId);
+    entries.filter(entry => entry.taskId === id).forEach(entry => {
+      updates[`${TIME_ENTRIES_REF_PATH}/${entry.id}`] = null;
+    });
+    
+    const timer = await getRunningTimer(userId);
+    if (timer && timer.taskId === id) {
+      updates[`${TIMERS_REF_PATH}/${userId}`] = null;
+    }
+    
+    const postponements = await getUserPostponements(userId);
+    postponements.filter(entry => entry.taskId === id).forEach(entry => {
+      updates[`${POSTPONEMENTS_REF_PATH}/${entry.id}`] = null;
+    });
+    
+    await db.ref().update(updates);
     return true;
   } catch (error) {
     console.error('Error deleting task:', error);
@@ -149,8 +269,10 @@ async function toggleTaskCompletion(id, userId) {
       return null;
     }
     
+    // The task moves to the first done or open status
     const updatedTask = await updateTask(id, {
-      completed: !task.completed
+      completed: !task.completed,
+      status: null
     }, userId);
     
     return updatedTask;
@@ -160,6 +282,592 @@ async function toggleTaskCompletion(id, userId) {
   }
 }
 
+/**
+ * Create the next occurrence of a completed recurring task, due on the next
+ * day of its recurrence rule. Each occurrence is only created once.
+ * @param {string} id - The task ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The new task, or null if no occurrence was created
+ */
+async function createNextOccurrence(id, userId) {
+  try {
+    const task = await getTaskById(id, userId);
+    if (!task || !task.recurrence || !task.completed || task.nextOccurrenceId) {
+      return null;
+    }
+    
+    // Next due dates follow the calendar of the user's timezone
+    const dueDate = getNextDueDate(task, await getUserTimeZone(userId));
+    if (!dueDate) {
+      return null;
+    }
+    
+    const nextTask = {
+      name: task.name,
+      category: task.category || '',
+      dueDate,
+      priority: task.priority || 'medium',
+      completed: false,
+      recurrence: task.recurrence,
+      reminders: task.reminders || null,
+      seriesId: task.seriesId || id,
+      occurrence: (task.occurrence || 1) + 1,
+      // Takes the place of the completed occurrence in the manual order
+      position: task.position !== undefined ? task.position : null,
+      // The checklist starts over for every occurrence
+      subtasks: buildSubtasks(task.subtasks.map(subtask => subtask.title))
+    };
+    
+    const nextId = await createTask(nextTask, userId);
+    await updateTask(id, { nextOccurrenceId: nextId }, userId);
+    
+    return getTaskById(nextId, userId);
+  } catch (error) {
+    console.error('Error creating next task occurrence:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add subtasks (checklist items) to the end of a task's checklist
+ * @param {string} id - The task ID
+ * @param {Array<string>} titles - The subtask titles
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The updated task or null if not found
+ */
+async function addSubtasks(id, titles, userId) {
+  try {
+    const task = await getTaskById(id, userId);
+    if (!task) {
+      return null;
+    }
+    
+    const lastPosition = task.subtasks.reduce((last, subtask) => Math.max(last, subtask.position), -1);
+    const subtasks = buildSubtasks(titles, lastPosition + 1);
+    
+    const updates = Object.entries(subtasks).reduce((all, [subtaskId, subtask]) => ({
+      ...all,
+      [`subtasks/${subtaskId}`]: subtask
+    }), {});
+    
+    return updateTask(id, updates, userId);
+  } catch (error) {
+    console.error('Error adding subtasks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update subtasks of a task. Completing a subtask records when it was completed.
+ * @param {string} id - The task ID
+ * @param {Object} changes - Updated fields keyed by subtask ID (e.g. { [subtaskId]: { completed: true } })
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The updated task or null if not found
+ */
+async function updateSubtasks(id, changes, userId) {
+  try {
+    const updates = {};
+    Object.entries(changes).forEach(([subtaskId, fields]) => {
+      Object.entries(fields).forEach(([field, value]) => {
+        updates[`subtasks/${subtaskId}/${field}`] = value;
+      });
+      
+      if (fields.completed !== undefined) {
+        updates[`subtasks/${subtaskId}/completedAt`] = fields.completed ? new Date().toISOString() : null;
+      }
+    });
+    
+    return updateTask(id, updates, userId);
+  } catch (error) {
+    console.error('Error updating subtasks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Put the subtasks of a task in a new order
+ * @param {string} id - The task ID
+ * @param {Array<string>} order - All subtask IDs of the task, in their new order
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The updated task or null if not found
+ */
+async function reorderSubtasks(id, order, userId) {
+  const changes = order.reduce((all, subtaskId, position) => ({ ...all, [subtaskId]: { position } }), {});
+  return updateSubtasks(id, changes, userId);
+}
+
+/**
+ * Complete all open subtasks of a task
+ * @param {string} id - The task ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The updated task or null if not found
+ */
+async function completeOpenSubtasks(id, userId) {
+  try {
+    const task = await getTaskById(id, userId);
+    if (!task) {
+      return null;
+    }
+    
+    const changes = task.subtasks
+      .filter(subtask => !subtask.completed)
+      .reduce((all, subtask) => ({ ...all, [subtask.id]: { completed: true } }), {});
+    
+    return updateSubtasks(id, changes, userId);
+  } catch (error) {
+    console.error('Error completing open subtasks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a subtask of a task
+ * @param {string} id - The task ID
+ * @param {string} subtaskId - The subtask ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The updated task or null if not found
+ */
+async function deleteSubtask(id, subtaskId, userId) {
+  try {
+    return updateTask(id, { [`subtasks/${subtaskId}`]: null }, userId);
+  } catch (error) {
+    console.error('Error deleting subtask:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make a task blocked by another task of the same user
+ * @param {string} id - The task ID
+ * @param {string} blockerId - The ID of the task it is blocked by
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The updated task or null if not found
+ */
+async function addTaskDependency(id, blockerId, userId) {
+  try {
+    return updateTask(id, { [`blockedBy/${blockerId}`]: true }, userId);
+  } catch (error) {
+    console.error('Error adding task dependency:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a dependency between two tasks
+ * @param {string} id - The task ID
+ * @param {string} blockerId - The ID of the task it is blocked by
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The updated task or null if not found
+ */
+async function removeTaskDependency(id, blockerId, userId) {
+  try {
+    return updateTask(id, { [`blockedBy/${blockerId}`]: null }, userId);
+  } catch (error) {
+    console.error('Error removing task dependency:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the dependency graph around a task: every task it depends on
+ * (upstream) and every task that depends on it (downstream), directly or
+ * through other tasks
+ * @param {string} id - The task ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} { task, upstream, downstream } or null if not found
+ */
+async function getTaskDependencyGraph(id, userId) {
+  try {
+    const allTasks = await getAllTasks(userId);
+    const tasksById = new Map(allTasks.map(task => [task.id, task]));
+    
+    const task = tasksById.get(id);
+    if (!task) {
+      return null;
+    }
+    
+    // Each node lists its direct blockers so the graph can be drawn from the response
+    const toNode = ({ id: nodeId, depth }) => {
+      const node = tasksById.get(nodeId);
+      return {
+        id: nodeId,
+        name: node.name,
+        completed: node.completed,
+        blocked: node.blocked,
+        blockedBy: node.blockedBy.filter(blockerId => tasksById.has(blockerId)),
+        depth
+      };
+    };
+    
+    return {
+      task: toNode({ id, depth: 0 }),
+      upstream: getUpstream(id, tasksById).map(toNode),
+      downstream: getDownstream(id, tasksById).map(toNode)
+    };
+  } catch (error) {
+    console.error('Error getting task dependency graph:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the time entries of a user, optionally only those started in a range
+ * @param {string} userId - The user ID
+ * @param {Object} range - Optional range of start times
+ * @param {string} range.from - Earliest start time to include (ISO date string)
+ * @param {string} range.to - Start times before this one are included (ISO date string)
+ * @returns {Promise<Array>} Time entries sorted by start time
+ */
+async function getUserTimeEntries(userId, { from, to } = {}) {
+  try {
+    const snapshot = await db.ref(TIME_ENTRIES_REF_PATH).orderByChild('userId').equalTo(userId).once('value');
+    const entries = snapshot.val() || {};
+    
+    return Object.entries(entries)
+      .map(([entryId, entry]) => ({ id: entryId, ...entry }))
+      .filter(entry => (!from || entry.startedAt >= from) && (!to || entry.startedAt < to))
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  } catch (error) {
+    console.error('Error getting time entries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the time entries of a task for a specific user
+ * @param {string} id - The task ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array|null>} Time entries sorted by start time, or null if the task was not found
+ */
+async function getTaskTimeEntries(id, userId) {
+  try {
+    const task = await getTaskById(id, userId);
+    if (!task) {
+      return null;
+    }
+    
+    const entries = await getUserTimeEntries(userId);
+    return entries.filter(entry => entry.taskId === id);
+  } catch (error) {
+    console.error('Error getting task time entries:', error);
+    throw error;
+  }
+}
+
+/**
+ * Recalculate the total time tracked on a task from its time entries
+ * @param {string} id - The task ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The updated task or null if not found
+ */
+async function refreshTrackedTime(id, userId) {
+  try {
+    const entries = await getTaskTimeEntries(id, userId);
+    if (!entries) {
+      return null;
+    }
+    
+    const trackedSeconds = entries.reduce((total, entry) => total + entry.duration, 0);
+    return updateTask(id, { trackedSeconds }, userId);
+  } catch (error) {
+    console.error('Error refreshing tracked time:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record time spent on a task
+ * @param {string} id - The task ID
+ * @param {string} userId - The user ID
+ * @param {Object} entry - The time entry
+ * @param {string} entry.startedAt - When the work started (ISO date string)
+ * @param {string} entry.endedAt - When the work ended (ISO date string)
+ * @param {string} entry.note - Optional note
+ * @param {string} entry.source - 'timer' or 'manual'
+ * @returns {Promise<Object|null>} { task, entry } or null if the task was not found
+ */
+async function addTimeEntry(id, userId, { startedAt, endedAt, note = '', source = 'manual' }) {
+  try {
+    const task = await getTaskById(id, userId);
+    if (!task) {
+      return null;
+    }
+    
+    const entry = {
+      taskId: id,
+      userId,
+      startedAt,
+      endedAt,
+      duration: Math.round((new Date(endedAt) - new Date(startedAt)) / 1000), // Seconds
+      note,
+      source,
+      createdAt: new Date().toISOString()
+    };
+    
+    const entryRef = db.ref(TIME_ENTRIES_REF_PATH).push();
+    await entryRef.set(entry);
+    
+    const updatedTask = await refreshTrackedTime(id, userId);
+    return { task: updatedTask, entry: { id: entryRef.key, ...entry } };
+  } catch (error) {
+    console.error('Error adding time entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a time entry from a task
+ * @param {string} id - The task ID
+ * @param {string} entryId - The time entry ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} { task, removed } or null if the task was not found
+ */
+async function deleteTimeEntry(id, entryId, userId) {
+  try {
+    const entries = await getTaskTimeEntries(id, userId);
+    if (!entries) {
+      return null;
+    }
+    
+    if (!entries.some(entry => entry.id === entryId)) {
+      return { task: await getTaskById(id, userId), removed: false };
+    }
+    
+    await db.ref(`${TIME_ENTRIES_REF_PATH}/${entryId}`).remove();
+    
+    const task = await refreshTrackedTime(id, userId);
+    return { task, removed: true };
+  } catch (error) {
+    console.error('Error deleting time entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the timer a user has running, if any
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} { taskId, startedAt } or null if no timer is running
+ */
+async function getRunningTimer(userId) {
+  try {
+    const snapshot = await db.ref(`${TIMERS_REF_PATH}/${userId}`).once('value');
+    return snapshot.val();
+  } catch (error) {
+    console.error('Error getting running timer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start a timer on a task. A user can only have one timer running at a time.
+ * @param {string} id - The task ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} { task, timer, started } or null if the task was not found;
+ *   if a timer was already running, it is returned with `started: false`
+ */
+async function startTaskTimer(id, userId) {
+  try {
+    const task = await getTaskById(id, userId);
+    if (!task) {
+      return null;
+    }
+    
+    // A transaction, so that of two timers started at the same time only one is kept
+    const timer = { taskId: id, startedAt: new Date().toISOString() };
+    const { committed, snapshot } = await db.ref(`${TIMERS_REF_PATH}/${userId}`)
+      .transaction(current => (current ? undefined : timer));
+    
+    return { task, timer: snapshot.val(), started: committed };
+  } catch (error) {
+    console.error('Error starting task timer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop the timer running on a task and record the time as an entry
+ * @param {string} id - The task ID
+ * @param {string} userId - The user ID
+ * @param {Object} options - Stop options
+ * @param {string} options.note - Optional note for the time entry
+ * @returns {Promise<Object|null>} { task, entry } or null if the task was not found;
+ *   entry is null if no timer was running on the task
+ */
+async function stopTaskTimer(id, userId, { note } = {}) {
+  try {
+    const task = await getTaskById(id, userId);
+    if (!task) {
+      return null;
+    }
+    
+    // A transaction, so that a timer stopped twice at the same time is only
+    // recorded once. Other timers are written back unchanged rather than
+    // aborting, as the first attempt may see an out-of-date value.
+    let timer = null;
+    const { committed } = await db.ref(`${TIMERS_REF_PATH}/${userId}`).transaction(current => {
+      timer = current && current.taskId === id ? current : null;
+      return timer ? null : current;
+    });
+    if (!committed || !timer) {
+      return { task, entry: null };
+    }
+    
+    return addTimeEntry(id, userId, {
+      startedAt: timer.startedAt,
+      endedAt: new Date().toISOString(),
+      note,
+      source: 'timer'
+    });
+  } catch (error) {
+    console.error('Error stopping task timer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the postponements (snoozes and deferrals) of a user's tasks
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Postponements sorted by when they were made
+ */
+async function getUserPostponements(userId) {
+  try {
+    const snapshot = await db.ref(POSTPONEMENTS_REF_PATH).orderByChild('userId').equalTo(userId).once('value');
+    const entries = snapshot.val() || {};
+    
+    return Object.entries(entries)
+      .map(([entryId, entry]) => ({ id: entryId, ...entry }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  } catch (error) {
+    console.error('Error getting postponements:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the postponements of a task for a specific user
+ * @param {string} id - The task ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array|null>} Postponements sorted by when they were made, or null if the task was not found
+ */
+async function getTaskPostponements(id, userId) {
+  try {
+    const task = await getTaskById(id, userId);
+    if (!task) {
+      return null;
+    }
+    
+    const entries = await getUserPostponements(userId);
+    return entries.filter(entry => entry.taskId === id);
+  } catch (error) {
+    console.error('Error getting task postponements:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record that a task was snoozed or deferred and count it on the task
+ * @param {Object} task - The task, as returned by getTaskById
+ * @param {string} userId - The user ID
+ * @param {Object} postponement - { type: 'snooze' | 'defer', from, to }
+ * @param {Object} updates - Other task fields to update
+ * @returns {Promise<Object>} The updated task
+ */
+async function postponeTask(task, userId, { type, from, to }, updates) {
+  try {
+    const createdAt = new Date().toISOString();
+    const entryKey = db.ref(POSTPONEMENTS_REF_PATH).push().key;
+    const counter = type === 'snooze' ? 'snoozeCount' : 'deferCount';
+    
+    // The entry and the count are written together, and the count is
+    // incremented by the database so that concurrent postponements all count
+    const rootUpdates = {
+      [`${POSTPONEMENTS_REF_PATH}/${entryKey}`]: { taskId: task.id, userId, type, from, to, createdAt },
+      [`${REF_PATH}/${task.id}/${counter}`]: admin.database.ServerValue.increment(1),
+      [`${REF_PATH}/${task.id}/updatedAt`]: createdAt
+    };
+    Object.entries(updates).forEach(([field, value]) => {
+      rootUpdates[`${REF_PATH}/${task.id}/${field}`] = value;
+    });
+    await db.ref().update(rootUpdates);
+    
+    return getTaskById(task.id, userId);
+  } catch (error) {
+    console.error('Error recording task postponement:', error);
+    throw error;
+  }
+}
+
+/**
+ * Snooze the reminders of a task until a given time, without changing its
+ * due date
+ * @param {string} id - The task ID
+ * @param {string} userId - The user ID
+ * @param {string} until - When to remind again (ISO date string)
+ * @returns {Promise<Object|null>} The updated task or null if not found
+ */
+async function snoozeTask(id, userId, until) {
+  try {
+    const task = await getTaskById(id, userId);
+    if (!task) {
+      return null;
+    }
+    
+    return postponeTask(task, userId, { type: 'snooze', from: new Date().toISOString(), to: until }, { snoozedUntil: until });
+  } catch (error) {
+    console.error('Error snoozing task:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move the due date of a task, ending any snooze
+ * @param {string} id - The task ID
+ * @param {string} userId - The user ID
+ * @param {string} dueDate - The new due date (ISO date string)
+ * @returns {Promise<Object|null>} The updated task or null if not found
+ */
+async function deferTask(id, userId, dueDate) {
+  try {
+    const task = await getTaskById(id, userId);
+    if (!task) {
+      return null;
+    }
+    
+    return postponeTask(task, userId, { type: 'defer', from: task.dueDate || null, to: dueDate }, { dueDate, snoozedUntil: null });
+  } catch (error) {
+    console.error('Error deferring task:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move all tasks of a user from one category to another, e.g. when a
+ * category is renamed. Category names are matched ignoring case.
+ * @param {string} from - The current category name
+ * @param {string} to - The new category name
+ * @param {string} userId - The user ID
+ * @returns {Promise<number>} Number of tasks moved
+ */
+async function renameTaskCategory(from, to, userId) {
+  try {
+    const snapshot = await db.ref(REF_PATH).orderByChild('userId').equalTo(userId).once('value');
+    const updates = {};
+    Object.entries(snapshot.val() || {}).forEach(([taskId, task]) => {
+      if (isSameCategory(task.category, from)) {
+        updates[`${taskId}/category`] = to;
+      }
+    });
+    
+    if (Object.keys(updates).length > 0) {
+      await db.ref(REF_PATH).update(updates);
+    }
+    return Object.keys(updates).length;
+  } catch (error) {
+    console.error('Error renaming task category:', error);
+    throw error;
+  }
+}
+
 /**
  * Get tasks by category for a specific user
  * @param {string} category - The category
@@ -169,7 +877,7 @@ async function toggleTaskCompletion(id, userId) {
 async function getTasksByCategory(category, userId) {
   try {
     const allTasks = await getAllTasks(userId);
-    return allTasks.filter(task => task.category === category);
+    return allTasks.filter(task => isSameCategory(task.category, category));
   } catch (error) {
     console.error('Error getting tasks by category:', error);
     throw error;
@@ -192,6 +900,25 @@ async function getTasksByPriority(priority, userId) {
   }
 }
 
+/**
+ * Save new manual order positions of tasks
+ * @param {Object} positions - New positions keyed by task ID
+ * @returns {Promise<void>}
+ */
+async function updateTaskPositions(positions) {
+  try {
+    const updates = {};
+    Object.entries(positions).forEach(([taskId, position]) => {
+      updates[`${taskId}/position`] = position;
+    });
+    
+    await db.ref(REF_PATH).update(updates);
+  } catch (error) {
+    console.error('Error updating task positions:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   getAllTasks,
   getTaskById,
@@ -199,6 +926,28 @@ module.exports = {
   updateTask,
   deleteTask,
   toggleTaskCompletion,
+  createNextOccurrence,
+  addSubtasks,
+  updateSubtasks,
+  reorderSubtasks,
+  completeOpenSubtasks,
+  deleteSubtask,
+  addTaskDependency,
+  removeTaskDependency,
+  getTaskDependencyGraph,
+  getUserTimeEntries,
+  getTaskTimeEntries,
+  addTimeEntry,
+  deleteTimeEntry,
+  getRunningTimer,
+  startTaskTimer,
+  stopTaskTimer,
+  getUserPostponements,
+  getTaskPostponements,
+  snoozeTask,
+  deferTask,
+  renameTaskCategory,
   getTasksByCategory,
-  getTasksByPriority
+  getTasksByPriority,
+  updateTaskPositions
 }; 
\ No newline at end of file
@@ -0,0 +1,149 @@
+const { admin, db } = require('../config/firebase');
+const { DEFAULT_TIMEZONE, toDateKey } = require('../utils/dateUtils');
+const { DEFAULT_TASK_STATUSES } = require('../utils/taskStatus');
+
+const REF_PATH = 'users';
+
+// Streak freezes each user gets at the start of every month, to cover missed
+// habit periods automatically; unused ones don't carry over
+const MONTHLY_STREAK_FREEZES = 2;
+
+// Settings used for users who haven't saved any yet
+const DEFAULT_SETTINGS = {
+  timezone: DEFAULT_TIMEZONE,
+  // Reminders for tasks that don't have their own, in minutes before the due date
+  taskReminders: { enabled: true, offsets: [15] },
+  // Workflow statuses of tasks, in board order
+  taskStatuses: DEFAULT_TASK_STATUSES,
+  // Whether #hashtags in the content of notes are added to their tags
+  extractNoteHashtags: false
+};
+
+/**
+ * Get the month (YYYY-MM) of a moment in a timezone
+ * @param {Date|string} date - The moment
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string} The month key
+ */
+function toMonthKey(date, timeZone) {
+  return toDateKey(date, timeZone).slice(0, 7);
+}
+
+/**
+ * Get the number of streak freezes a user has left in a month
+ * @param {Object|null} stored - The stored streak freezes ({ month, left })
+ * @param {string} month - The month (YYYY-MM)
+ * @returns {number} The freezes left; the full allowance if none were used that month
+ */
+function getStreakFreezesLeft(stored, month) {
+  if (!stored || stored.month !== month) {
+    return MONTHLY_STREAK_FREEZES;
+  }
+  
+  // Refunds never raise the count above the allowance
+  return Math.min(stored.left, MONTHLY_STREAK_FREEZES);
+}
+
+/**
+ * Get the settings of a specific user, filled in with defaults
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} The user settings
+ */
+async function getUserSettings(userId) {
+  try {
+    const snapshot = await db.ref(`${REF_PATH}/${userId}`).once('value');
+    const settings = snapshot.val() || {};
+    const timezone = settings.timezone || DEFAULT_SETTINGS.timezone;
+    
+    return {
+      ...DEFAULT_SETTINGS,
+      ...settings,
+      streakFreezes: getStreakFreezesLeft(settings.streakFreezes, toMonthKey(new Date(), timezone))
+    };
+  } catch (error) {
+    console.error('Error getting user settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the timezone of a specific user
+ * @param {string} userId - The user ID
+ * @returns {Promise<string>} IANA timezone name
+ */
+async function getUserTimeZone(userId) {
+  const settings = await getUserSettings(userId);
+  return settings.timezone;
+}
+
+/**
+ * Update the settings of a specific user
+ * @param {string} userId - The user ID
+ * @param {Object} updates - The updated settings
+ * @returns {Promise<Object>} The updated user settings
+ */
+async function updateUserSettings(userId, updates) {
+  try {
+    await db.ref(`${REF_PATH}/${userId}`).update({
+      ...updates,
+      updatedAt: new Date().toISOString()
+    });
+    
+    return getUserSettings(userId);
+  } catch (error) {
+    console.error('Error updating user settings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Use up streak freezes of a specific user, if there are enough left
+ * @param {string} userId - The user ID
+ * @param {number} count - The number of freezes to use
+ * @returns {Promise<boolean>} Whether the freezes were used
+ */
+async function spendStreakFreezes(userId, count) {
+  try {
+    const month = toMonthKey(new Date(), await getUserTimeZone(userId));
+    
+    // A transaction, so that habits completed at the same time can't overspend
+    const { committed } = await db.ref(`${REF_PATH}/${userId}/streakFreezes`).transaction(current => {
+      const left = getStreakFreezesLeft(current, month);
+      return left >= count ? { month, left: left - count } : undefined;
+    });
+    
+    return committed;
+  } catch (error) {
+    console.error('Error spending streak freezes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the updates that give back streak freezes used at a given time.
+ * Freezes used in an earlier month are not given back, as the allowance has
+ * been renewed since.
+ * @param {string} userId - The user ID
+ * @param {number} count - The number of freezes to give back
+ * @param {string} usedAt - When the freezes were used (ISO timestamp)
+ * @returns {Promise<Object>} Multi-path updates relative to the database root
+ */
+async function buildStreakFreezeRefund(userId, count, usedAt) {
+  const timeZone = await getUserTimeZone(userId);
+  if (count === 0 || toMonthKey(usedAt, timeZone) !== toMonthKey(new Date(), timeZone)) {
+    return {};
+  }
+  
+  return {
+    [`${REF_PATH}/${userId}/streakFreezes/left`]: admin.database.ServerValue.increment(count)
+  };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getUserSettings,
+  getUserTimeZone,
+  updateUserSettings,
+  spendStreakFreezes,
+  buildStreakFreezeRefund
+};
@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const categoryModel = require('../models/categoryModel');
+const taskModel = require('../models/taskModel');
+const habitModel = require('../models/habitModel');
+const { authenticate } = require('../middleware/auth');
+const { isSameCategory, getDescendantIds, countCategoryItems } = require('../utils/categoryTree');
+
+// Apply authentication middleware to all routes
+router.use(authenticate);
+
+/**
+ * Validate category fields from a request body. Names must be unique per
+ * user (ignoring case) and a category can't be nested under itself or one
+ * of its subcategories.
+ * @param {Object} body - The request body ({ name, color, icon, parentId })
+ * @param {Array<Object>} categories - The user's categories
+ * @param {Object|null} current - The category being updated, or null for a new one
+ * @returns {Object} { fields } with the provided fields on success or { error } with a message
+ */
+const validateCategoryFields = ({ name, color, icon, parentId }, categories, current) => {
+  const fields = {};
+  
+  if (name !== undefined || !current) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'Name is required' };
+    }
+    
+    if (name.trim().length > 50) {
+      return { error: 'Name must be at most 50 characters' };
+    }
+    
+    const duplicate = categories.find(category => isSameCategory(category.name, name) && (!current || category.id !== current.id));
+    if (duplicate) {
+      return { error: `A category named "${duplicate.name}" already exists` };
+    }
+    
+    fields.name = name.trim();
+  }
+  
+  if (color !== undefined) {
+    if (color !== null && !(typeof color === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color))) {
+      return { error: 'Color must be a hex color such as #4a6ee0' };
+    }
+    fields.color = color;
+  }
+  
+  if (icon !== undefined) {
+    if (icon !== null && !(typeof icon === 'string' && icon.length <= 50)) {
+      return { error: 'Icon must be a string of at most 50 characters' };
+    }
+    fields.icon = icon;
+  }
+  
+  if (parentId !== undefined) {
+    if (parentId !== null && !categories.some(category => category.id === parentId)) {
+      return { error: 'Parent category not found' };
+    }
+    
+    if (current && parentId !== null && (parentId === current.id || getDescendantIds(current.id, categories).includes(parentId))) {
+      return { error: 'A category cannot be nested under itself or one of its subcategories' };
+    }
+    fields.parentId = parentId;
+  }
+  
+  return { fields };
+};
+
+/**
+ * Move the tasks and habits of a category to another category name
+ * @param {string} from - The current category name
+ * @param {string} to - The new category name
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} Number of moved items ({ tasks, habits })
+ */
+const moveCategoryItems = async (from, to, userId) => {
+  const tasks = await taskModel.renameTaskCategory(from, to, userId);
+  const habits = await habitModel.renameHabitCategory(from, to, userId);
+  
+  return { tasks, habits };
+};
+
+/**
+ * Get the categories of a user with the number of tasks and habits in each
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array<Object>>} The categories with their counts
+ */
+const getCategoriesWithCounts = async (userId) => {
+  const categories = await categoryModel.getAllCategories(userId);
+  const tasks = await taskModel.getAllTasks(userId);
+  const habits = await habitModel.getAllHabits(userId, { includeArchived: true });
+  
+  return countCategoryItems(categories, { tasks, habits });
+};
+
+// GET all categories with their item counts
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const categories = await getCategoriesWithCounts(userId);
+    res.json(categories);
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ message: 'Failed to fetch categories', error: error.message });
+  }
+});
+
+// GET category by ID with its tasks and habits
+router.get('/:id', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    
+    const categories = await getCategoriesWithCounts(userId);
+    const category = categories.find(item => item.id === id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    
+    res.json({
+      ...category,
+      subcategories: categories.filter(item => item.parentId === id),
+      tasks: await taskModel.getTasksByCategory(category.name, userId),
+      habits: await habitModel.getHabitsByCategory(category.name, userId)
+    });
+  } catch (error) {
+    console.error('Error fetching category by ID:', error);
+    res.status(500).json({ message: 'Failed to fetch category', error: error.message });
+  }
+});
+
+// POST create new category
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    
+    const categories = await categoryModel.getAllCategories(userId);
+    const validated = validateCategoryFields(req.body, categories, null);
+    if (validated.error) {
+      return res.status(400).json({ message: validated.error });
+    }
+    
+    const newCategory = {
+      color: null,
+      icon: null,
+      parentId: null,
+      ...validated.fields
+    };
+    
+    const categoryId = await categoryModel.createCategory(newCategory, userId);
+    const insertedCategory = await categoryModel.getCategoryById(categoryId, userId);
+    
+    res.status(201).json(insertedCategory);
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({ message: 'Failed to create category', error: error.message });
+  }
+});
+
+// PUT update category; renaming it moves its tasks and habits along
+router.put('/:id', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    
+    const categories = await categoryModel.getAllCategories(userId);
+    const category = categories.find(item => item.id === id);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    
+    const validated = validateCategoryFields(req.body, categories, category);
+    if (validated.error) {
+      return res.status(400).json({ message: validated.error });
+    }
+    
+    const updatedCategory = await categoryModel.updateCategory(id, validated.fields, userId);
+    
+    // Items also follow renames that only change the case of the name
+    let moved = { tasks: 0, habits: 0 };
+    if (validated.fields.name !== undefined && validated.fields.name !== category.name) {
+      moved = await moveCategoryItems(category.name, validated.fields.name, userId);
+    }
+    
+    res.json({ ...updatedCategory, moved });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({ message: 'Failed to update category', error: error.message });
+  }
+});
+
+// DELETE category; its items and subcategories move up to the parent category
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    
+    const category = await categoryModel.getCategoryById(id, userId);
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+    
+    const parent = category.parentId ? await categoryModel.getCategoryById(category.parentId, userId) : null;
+    await moveCategoryItems(category.name, parent ? parent.name : '', userId);
+    
+    await categoryModel.deleteCategory(id, userId);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ message: 'Failed to delete category', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,25 +1,237 @@
 const express = require('express');
 const router = express.Router();
 const habitModel = require('../models/habitModel');
+const userModel = require('../models/userModel');
 const { authenticate } = require('../middleware/auth');
-const { scheduleHabitReminder, cancelAllJobsForHabit } = require('../utils/scheduleService');
-const admin = require('firebase-admin');
+const { getHabitReminders, rescheduleHabitReminders, cancelAllJobsForHabit } = require('../utils/scheduleService');
+const { toDateKey, isValidDateKey, isValidTime } = require('../utils/dateUtils');
+const { FREQUENCIES, getHabitSchedule, normalizeSchedule, isSameSchedule } = require('../utils/habitSchedule');
+const {
+  DEFAULT_WINDOWS,
+  DEFAULT_HEATMAP_DAYS,
+  calculateHabitStats,
+  groupStatsByCategory
+} = require('../utils/statsService');
+const { getHabitTemplate, getHabitBundle, getTemplateCatalogue } = require('../utils/habitTemplates');
+const { sortByPosition, calculateMove } = require('../utils/manualOrder');
+
+// Orders the habit list can be sorted in
+const HABIT_SORTS = ['created', 'manual'];
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
 
-// GET all habits
+/**
+ * Resolve the schedule of a habit from a request body.
+ * A structured `schedule` takes precedence over the `frequency` shorthand.
+ * @param {Object} body - The request body
+ * @returns {Object} { schedule } on success, { error } on invalid input, or {} if neither was given
+ */
+const resolveSchedule = ({ schedule, frequency }) => {
+  if (schedule !== undefined) {
+    return normalizeSchedule(schedule);
+  }
+  
+  if (frequency !== undefined) {
+    if (!FREQUENCIES.includes(frequency)) {
+      return { error: `Frequency must be one of: ${FREQUENCIES.join(', ')}` };
+    }
+    return { schedule: { type: frequency } };
+  }
+  
+  return {};
+};
+
+/**
+ * Validate the optional target and unit of a quantitative habit
+ * @param {Object} body - The request body
+ * @returns {string|null} An error message, or null if the input is valid
+ */
+const validateTarget = ({ target, unit }) => {
+  if (target !== undefined && target !== null && !(typeof target === 'number' && Number.isFinite(target) && target > 0)) {
+    return 'Target must be a positive number';
+  }
+  
+  if (unit !== undefined && unit !== null && typeof unit !== 'string') {
+    return 'Unit must be a string';
+  }
+  
+  return null;
+};
+
+/**
+ * Parse the statistics options from a query string
+ * (e.g. ?windows=7,30,90&heatmapDays=365)
+ * @param {Object} query - The request query
+ * @returns {Object} { options } on success or { error } with a message
+ */
+const parseStatsOptions = ({ windows, heatmapDays }) => {
+  const isValidDays = value => Number.isInteger(value) && value >= 1 && value <= 366;
+  
+  const parsedWindows = windows !== undefined
+    ? String(windows).split(',').map(value => Number(value.trim()))
+    : DEFAULT_WINDOWS;
+  if (parsedWindows.length === 0 || !parsedWindows.every(isValidDays)) {
+    return { error: 'windows must be a comma-separated list of day counts between 1 and 366' };
+  }
+  
+  const parsedHeatmapDays = heatmapDays !== undefined ? Number(heatmapDays) : DEFAULT_HEATMAP_DAYS;
+  if (!isValidDays(parsedHeatmapDays)) {
+    return { error: 'heatmapDays must be a number of days between 1 and 366' };
+  }
+  
+  return { options: { windows: parsedWindows, heatmapDays: parsedHeatmapDays } };
+};
+
+/**
+ * Validate the reminder settings of a habit from a request body
+ * (e.g. { "enabled": true, "times": ["07:30", "20:00"] }).
+ * Missing fields are taken from the current settings.
+ * @param {Object} reminders - The reminder settings to validate
+ * @param {Object} current - The current reminder settings
+ * @returns {Object} { reminders } on success or { error } with a message
+ */
+const normalizeReminders = (reminders, current) => {
+  if (!reminders || typeof reminders !== 'object' || Array.isArray(reminders)) {
+    return { error: 'Reminders must be an object' };
+  }
+  
+  const { enabled = current.enabled, times = current.times } = reminders;
+  
+  if (typeof enabled !== 'boolean') {
+    return { error: 'Reminders enabled must be a boolean' };
+  }
+  
+  if (!Array.isArray(times) || times.length === 0 || times.length > 10) {
+    return { error: 'Reminder times must be a list of 1 to 10 times' };
+  }
+  
+  if (!times.every(isValidTime)) {
+    return { error: 'Reminder times must be in HH:mm format' };
+  }
+  
+  return { reminders: { enabled, times: [...new Set(times)].sort() } };
+};
+
+/**
+ * Validate a new habit from a request body and build the habit to store
+ * @param {Object} body - The request body
+ * @returns {Object} { habit } on success or { error } with a message
+ */
+const buildNewHabit = (body) => {
+  const { name, description, category, target, unit } = body;
+  
+  if (!name) {
+    return { error: 'Name is required' };
+  }
+  
+  const resolved = resolveSchedule(body);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+  
+  const targetError = validateTarget(body);
+  if (targetError) {
+    return { error: targetError };
+  }
+  
+  const defaultReminders = getHabitReminders({});
+  const remindersResult = body.reminders !== undefined
+    ? normalizeReminders(body.reminders, defaultReminders)
+    : { reminders: defaultReminders };
+  if (remindersResult.error) {
+    return { error: remindersResult.error };
+  }
+  
+  const schedule = resolved.schedule || { type: 'daily' };
+  
+  return {
+    habit: {
+      name,
+      description: description || '',
+      schedule,
+      frequency: schedule.type, // Kept in sync with the schedule for older clients
+      category: category || 'General', // Include category field with default
+      target: target || null, // Amount per period for quantitative habits
+      unit: unit || '',
+      reminders: remindersResult.reminders // Reminder times in the user's timezone
+      // streak will be initialized to 0 in the model
+    }
+  };
+};
+
+/**
+ * Build the request body for a habit created from a template.
+ * Fields given in the body override the ones of the template.
+ * @param {Object} template - The habit template
+ * @param {Object} overrides - The request body
+ * @returns {Object} The combined body
+ */
+const applyTemplate = (template, overrides = {}) => {
+  const { id, ...fields } = template;
+  const body = { ...fields, ...overrides };
+  
+  // A frequency given in the body replaces the template schedule
+  if (overrides.frequency !== undefined && overrides.schedule === undefined) {
+    delete body.schedule;
+  }
+  
+  return body;
+};
+
+/**
+ * Store a new habit and schedule its reminders
+ * @param {Object} habit - The habit built by buildNewHabit
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} The created habit
+ */
+const createHabitWithReminders = async (habit, userId) => {
+  // Now we get back the ID directly
+  const habitId = await habitModel.createHabit(habit, userId);
+  const insertedHabit = await habitModel.getHabitById(habitId, userId);
+  
+  // Schedule recurring reminders for the habit (no creation notification)
+  await rescheduleHabitReminders(habitId, insertedHabit, userId);
+  
+  return insertedHabit;
+};
+
+// GET all habits (archived habits only with ?includeArchived=true, ?sort=manual for the order set with PATCH /habits/:id/move)
 router.get('/', async (req, res) => {
   try {
     const userId = req.user.uid;
-    const habits = await habitModel.getAllHabits(userId);
-    res.json(habits);
+    const includeArchived = req.query.includeArchived === 'true';
+    const { sort = 'created' } = req.query;
+    
+    if (!HABIT_SORTS.includes(sort)) {
+      return res.status(400).json({ message: `sort must be one of: ${HABIT_SORTS.join(', ')}` });
+    }
+    
+    const habits = await habitModel.getAllHabits(userId, { includeArchived });
+    res.json(sort === 'manual' ? sortByPosition(habits) : habits);
   } catch (error) {
     console.error('Error fetching habits:', error);
     res.status(500).json({ message: 'Failed to fetch habits', error: error.message });
   }
 });
 
+// GET catalogue of habit templates and bundles
+router.get('/templates', (req, res) => {
+  res.json(getTemplateCatalogue());
+});
+
+// GET archived habits
+router.get('/archived', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const habits = await habitModel.getAllHabits(userId, { includeArchived: true });
+    res.json(habits.filter(habit => habit.archived));
+  } catch (error) {
+    console.error('Error fetching archived habits:', error);
+    res.status(500).json({ message: 'Failed to fetch archived habits', error: error.message });
+  }
+});
+
 // IMPORTANT: Any specialized routes need to come before the /:id route
 // GET habits by category
 router.get('/category/:category', async (req, res) => {
@@ -34,6 +246,37 @@ router.get('/category/:category', async (req, res) => {
   }
 });
 
+// GET statistics for all habits, grouped by category
+router.get('/stats', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { options, error } = parseStatsOptions(req.query);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const habits = await habitModel.getAllHabits(userId);
+    const settings = await userModel.getUserSettings(userId);
+    options.timeZone = settings.timezone;
+    options.freezes = settings.streakFreezes;
+    const habitStats = await Promise.all(habits.map(async habit => {
+      const history = await habitModel.getHabitHistory(habit.id, userId);
+      const excuses = await habitModel.getHabitExcuses(habit.id, userId);
+      return calculateHabitStats(habit, history, { ...options, excuses });
+    }));
+    
+    res.json({
+      windows: options.windows,
+      heatmapDays: options.heatmapDays,
+      categories: groupStatsByCategory(habitStats)
+    });
+  } catch (error) {
+    console.error('Error fetching habit statistics:', error);
+    res.status(500).json({ message: 'Failed to fetch habit statistics', error: error.message });
+  }
+});
+
 // GET habit by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -55,39 +298,14 @@ router.get('/:id', async (req, res) => {
 // POST create new habit
 router.post('/', async (req, res) => {
   try {
-    const { name, description, frequency, category } = req.body;
     const userId = req.user.uid;
+    const { habit, error } = buildNewHabit(req.body);
     
-    if (!name) {
-      return res.status(400).json({ message: 'Name is required' });
+    if (error) {
+      return res.status(400).json({ message: error });
     }
     
-    const newHabit = {
-      name,
-      description: description || '',
-      frequency: frequency || 'daily',
-      category: category || 'General' // Include category field with default
-      // streak will be initialized to 0 in the model
-    };
-    
-    // Now we get back the ID directly
-    const habitId = await habitModel.createHabit(newHabit, userId);
-    const insertedHabit = await habitModel.getHabitById(habitId, userId);
-    
-    // Get user email for scheduling recurring reminders only
-    try {
-      const userRecord = await admin.auth().getUser(userId);
-      const userEmail = userRecord.email;
-      const userName = userRecord.displayName || '';
-      
-      // Schedule recurring reminders for the habit (no creation notification)
-      if (userEmail) {
-        scheduleHabitReminder(habitId, insertedHabit, userId, userEmail, userName);
-      }
-    } catch (emailError) {
-      console.error('Error getting user email for habit reminder scheduling:', emailError);
-      // Continue with the response even if reminder scheduling fails
-    }
+    const insertedHabit = await createHabitWithReminders(habit, userId);
     
     res.status(201).json(insertedHabit);
   } catch (error) {
@@ -96,12 +314,68 @@ router.post('/', async (req, res) => {
   }
 });
 
+// POST create a habit from a template
+router.post('/from-template/:templateId', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const template = getHabitTemplate(req.params.templateId);
+    
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    
+    const body = applyTemplate(template, req.body);
+    const { habit, error } = buildNewHabit(body);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const insertedHabit = await createHabitWithReminders({ ...habit, templateId: template.id }, userId);
+    
+    res.status(201).json(insertedHabit);
+  } catch (error) {
+    console.error('Error creating habit from template:', error);
+    res.status(500).json({ message: 'Failed to create habit from template', error: error.message });
+  }
+});
+
+// POST create all habits of a template bundle
+router.post('/from-bundle/:bundleId', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const bundle = getHabitBundle(req.params.bundleId);
+    
+    if (!bundle) {
+      return res.status(404).json({ message: 'Bundle not found' });
+    }
+    
+    // Templates are known to be valid, so only the optional category can be overridden
+    const { category } = req.body;
+    const habits = bundle.templateIds.map(templateId => {
+      const template = getHabitTemplate(templateId);
+      const { habit } = buildNewHabit(applyTemplate(template, category ? { category } : {}));
+      return { ...habit, templateId };
+    });
+    
+    const insertedHabits = [];
+    for (const habit of habits) {
+      insertedHabits.push(await createHabitWithReminders(habit, userId));
+    }
+    
+    res.status(201).json(insertedHabits);
+  } catch (error) {
+    console.error('Error creating habits from bundle:', error);
+    res.status(500).json({ message: 'Failed to create habits from bundle', error: error.message });
+  }
+});
+
 // PUT update habit
 router.put('/:id', async (req, res) => {
   try {
     const id = req.params.id;
     const userId = req.user.uid;
-    const { name, description, frequency, category } = req.body;
+    const { name, description, category, target, unit } = req.body;
     
     // Check if habit exists
     const habit = await habitModel.getHabitById(id, userId);
@@ -109,14 +383,51 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Habit not found' });
     }
     
+    const { schedule, error } = resolveSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const targetError = validateTarget(req.body);
+    if (targetError) {
+      return res.status(400).json({ message: targetError });
+    }
+    
+    let reminders;
+    if (req.body.reminders !== undefined) {
+      const remindersResult = normalizeReminders(req.body.reminders, getHabitReminders(habit));
+      if (remindersResult.error) {
+        return res.status(400).json({ message: remindersResult.error });
+      }
+      reminders = remindersResult.reminders;
+    }
+    
     // Update only provided fields
     const updates = {};
     if (name !== undefined) updates.name = name;
     if (description !== undefined) updates.description = description;
-    if (frequency !== undefined) updates.frequency = frequency;
+    if (schedule !== undefined) {
+      updates.schedule = schedule;
+      updates.frequency = schedule.type;
+    }
     if (category !== undefined) updates.category = category;
+    if (target !== undefined) updates.target = target;
+    if (unit !== undefined) updates.unit = unit || '';
+    if (reminders !== undefined) updates.reminders = reminders;
+    
+    let updatedHabit = await habitModel.updateHabit(id, updates, userId);
+    
+    // Streaks are counted per period and reminders follow the schedule,
+    // so both need to be recalculated when the schedule changes
+    const scheduleChanged = schedule !== undefined && !isSameSchedule(schedule, getHabitSchedule(habit));
+    if (scheduleChanged) {
+      updatedHabit = await habitModel.refreshHabitStreak(id, userId);
+    }
+    
+    if (scheduleChanged || reminders !== undefined) {
+      await rescheduleHabitReminders(id, updatedHabit, userId);
+    }
     
-    const updatedHabit = await habitModel.updateHabit(id, updates, userId);
     res.json(updatedHabit);
   } catch (error) {
     console.error('Error updating habit:', error);
@@ -147,21 +458,235 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// PATCH increment streak counter (habit completed)
+// GET statistics for a single habit
+router.get('/:id/stats', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const { options, error } = parseStatsOptions(req.query);
+    
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    const habit = await habitModel.getHabitById(id, userId);
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    const history = await habitModel.getHabitHistory(id, userId);
+    const settings = await userModel.getUserSettings(userId);
+    options.timeZone = settings.timezone;
+    options.freezes = settings.streakFreezes;
+    options.excuses = await habitModel.getHabitExcuses(id, userId);
+    res.json(calculateHabitStats(habit, history, options));
+  } catch (error) {
+    console.error('Error fetching habit statistics:', error);
+    res.status(500).json({ message: 'Failed to fetch habit statistics', error: error.message });
+  }
+});
+
+// GET habit history: completions, skips and used streak freezes
+router.get('/:id/history', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const { from, to } = req.query;
+    
+    if ((from !== undefined && !isValidDateKey(from)) || (to !== undefined && !isValidDateKey(to))) {
+      return res.status(400).json({ message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    
+    if (from && to && from > to) {
+      return res.status(400).json({ message: 'from must not be after to' });
+    }
+    
+    const history = await habitModel.getHabitHistory(id, userId, { from, to });
+    
+    if (!history) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    const excuses = await habitModel.getHabitExcuses(id, userId, { from, to });
+    const entries = [
+      ...history.map(entry => ({ type: 'completion', ...entry })),
+      ...excuses
+    ].sort((a, b) => a.date.localeCompare(b.date));
+    
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching habit history:', error);
+    res.status(500).json({ message: 'Failed to fetch habit history', error: error.message });
+  }
+});
+
+// PATCH record a completion (habit completed)
 router.patch('/:id/complete', async (req, res) => {
   try {
     const id = req.params.id;
     const userId = req.user.uid;
-    const updatedHabit = await habitModel.incrementHabitStreak(id, userId);
+    const { note } = req.body;
     
-    if (!updatedHabit) {
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ message: 'Note must be a string' });
+    }
+    
+    const result = await habitModel.completeHabit(id, userId, { note });
+    
+    if (!result) {
       return res.status(404).json({ message: 'Habit not found' });
     }
     
-    res.json(updatedHabit);
+    // counted is false when the habit was already completed in the current period
+    res.json({
+      ...result.habit,
+      completion: result.completion,
+      counted: result.counted,
+      period: result.period,
+      freezesUsed: result.freezesUsed
+    });
+  } catch (error) {
+    console.error('Error completing habit:', error);
+    res.status(500).json({ message: 'Failed to complete habit', error: error.message });
+  }
+});
+
+// POST record a completion for a past day (backfill)
+router.post('/:id/completions', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const { date, note } = req.body;
+    const timeZone = await userModel.getUserTimeZone(userId);
+    const today = toDateKey(new Date(), timeZone);
+    
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({ message: 'Date is required in YYYY-MM-DD format' });
+    }
+    
+    if (date > today) {
+      return res.status(400).json({ message: 'Date cannot be in the future' });
+    }
+    
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ message: 'Note must be a string' });
+    }
+    
+    const habit = await habitModel.getHabitById(id, userId);
+    
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    // Completions for days before a reset would bring the wiped streak back
+    if (habit.streakResetAt && date < toDateKey(habit.streakResetAt, timeZone)) {
+      return res.status(400).json({ message: 'Date cannot be before the last streak reset' });
+    }
+    
+    const result = await habitModel.completeHabit(id, userId, { note, date });
+    
+    if (!result) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    // counted is false when the habit was already completed in that period
+    res.status(result.counted ? 201 : 200).json({
+      ...result.habit,
+      completion: result.completion,
+      counted: result.counted,
+      period: result.period,
+      freezesUsed: result.freezesUsed
+    });
+  } catch (error) {
+    console.error('Error backfilling habit completion:', error);
+    res.status(500).json({ message: 'Failed to backfill habit completion', error: error.message });
+  }
+});
+
+// DELETE undo the completion of a habit for a day
+router.delete('/:id/completions/:date', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const date = req.params.date;
+    
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format' });
+    }
+    
+    const result = await habitModel.removeHabitCompletion(id, userId, date);
+    
+    if (!result) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    if (result.removed === 0) {
+      return res.status(404).json({ message: 'Completion not found' });
+    }
+    
+    res.json(result.habit);
+  } catch (error) {
+    console.error('Error removing habit completion:', error);
+    res.status(500).json({ message: 'Failed to remove habit completion', error: error.message });
+  }
+});
+
+// GET progress of a quantitative habit for the current period
+router.get('/:id/progress', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const progress = await habitModel.getHabitProgressSummary(id, userId);
+    
+    if (!progress) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    const entries = await habitModel.getHabitProgress(id, userId, { from: progress.from, to: progress.to });
+    res.json({ ...progress, entries });
+  } catch (error) {
+    console.error('Error fetching habit progress:', error);
+    res.status(500).json({ message: 'Failed to fetch habit progress', error: error.message });
+  }
+});
+
+// POST log progress towards the target of a quantitative habit
+router.post('/:id/progress', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const { amount = 1, note } = req.body;
+    
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ message: 'Amount must be a positive number' });
+    }
+    
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ message: 'Note must be a string' });
+    }
+    
+    const habit = await habitModel.getHabitById(id, userId);
+    if (!habit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    if (!habit.target) {
+      return res.status(400).json({ message: 'Habit has no target; use PATCH /habits/:id/complete instead' });
+    }
+    
+    const result = await habitModel.logHabitProgress(id, userId, { amount, note });
+    
+    // counted is true when this entry reached the target and completed the habit
+    res.status(201).json({
+      ...result.habit,
+      entry: result.entry,
+      progress: result.progress,
+      completion: result.completion,
+      counted: result.counted
+    });
   } catch (error) {
-    console.error('Error incrementing habit streak:', error);
-    res.status(500).json({ message: 'Failed to increment habit streak', error: error.message });
+    console.error('Error logging habit progress:', error);
+    res.status(500).json({ message: 'Failed to log habit progress', error: error.message });
   }
 });
 
@@ -183,4 +708,166 @@ router.patch('/:id/reset', async (req, res) => {
   }
 });
 
+// POST skip a period so it doesn't break the streak
+router.post('/:id/skip', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const today = toDateKey(new Date(), await userModel.getUserTimeZone(userId));
+    const { date = today, note } = req.body;
+    
+    if (!isValidDateKey(date)) {
+      return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format' });
+    }
+    
+    if (date > today) {
+      return res.status(400).json({ message: 'Date cannot be in the future, pause the habit instead' });
+    }
+    
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ message: 'Note must be a string' });
+    }
+    
+    const result = await habitModel.skipHabit(id, userId, { date, note });
+    
+    if (!result) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    // created is false when the period was already excused
+    res.status(result.created ? 201 : 200).json({
+      ...result.habit,
+      skip: result.skip,
+      created: result.created,
+      period: result.period
+    });
+  } catch (error) {
+    console.error('Error skipping habit:', error);
+    res.status(500).json({ message: 'Failed to skip habit', error: error.message });
+  }
+});
+
+// PATCH pause a habit for a range of days (vacation mode)
+router.patch('/:id/pause', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const today = toDateKey(new Date(), await userModel.getUserTimeZone(userId));
+    const { from = today, to } = req.body;
+    
+    if (!isValidDateKey(from) || (to !== undefined && to !== null && !isValidDateKey(to))) {
+      return res.status(400).json({ message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    
+    if (from < today) {
+      return res.status(400).json({ message: 'A pause cannot start in the past' });
+    }
+    
+    if (to && to < from) {
+      return res.status(400).json({ message: 'to must not be before from' });
+    }
+    
+    const updatedHabit = await habitModel.pauseHabit(id, userId, { from, to });
+    
+    if (!updatedHabit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    // Drop reminders for the paused days, picking up again after the pause
+    await rescheduleHabitReminders(id, updatedHabit, userId);
+    
+    res.json(updatedHabit);
+  } catch (error) {
+    console.error('Error pausing habit:', error);
+    res.status(500).json({ message: 'Failed to pause habit', error: error.message });
+  }
+});
+
+// PATCH resume a paused habit from today
+router.patch('/:id/resume', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const updatedHabit = await habitModel.resumeHabit(id, userId);
+    
+    if (!updatedHabit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    await rescheduleHabitReminders(id, updatedHabit, userId);
+    
+    res.json(updatedHabit);
+  } catch (error) {
+    console.error('Error resuming habit:', error);
+    res.status(500).json({ message: 'Failed to resume habit', error: error.message });
+  }
+});
+
+// PATCH archive a habit, keeping its history
+router.patch('/:id/archive', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const updatedHabit = await habitModel.setHabitArchived(id, userId, true);
+    
+    if (!updatedHabit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    // Archived habits get no reminders
+    cancelAllJobsForHabit(id);
+    
+    res.json(updatedHabit);
+  } catch (error) {
+    console.error('Error archiving habit:', error);
+    res.status(500).json({ message: 'Failed to archive habit', error: error.message });
+  }
+});
+
+// PATCH restore an archived habit
+router.patch('/:id/unarchive', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const updatedHabit = await habitModel.setHabitArchived(id, userId, false);
+    
+    if (!updatedHabit) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    await rescheduleHabitReminders(id, updatedHabit, userId);
+    
+    res.json(updatedHabit);
+  } catch (error) {
+    console.error('Error unarchiving habit:', error);
+    res.status(500).json({ message: 'Failed to unarchive habit', error: error.message });
+  }
+});
+
+// PATCH move a habit in the manual order, next to other habits ({ before, after })
+router.patch('/:id/move', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const { before, after } = req.body;
+    
+    const habits = await habitModel.getAllHabits(userId, { includeArchived: true });
+    if (!habits.some(habit => habit.id === id)) {
+      return res.status(404).json({ message: 'Habit not found' });
+    }
+    
+    const move = calculateMove(id, { before, after }, habits);
+    if (move.error) {
+      return res.status(400).json({ message: move.error });
+    }
+    
+    await habitModel.updateHabitPositions(move.positions);
+    const updatedHabit = await habitModel.getHabitById(id, userId);
+    res.json(updatedHabit);
+  } catch (error) {
+    console.error('Error moving habit:', error);
+    res.status(500).json({ message: 'Failed to move habit', error: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
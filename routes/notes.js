@@ -1,17 +1,105 @@
 const express = require('express');
 const router = express.Router();
 const noteModel = require('../models/noteModel');
+const userModel = require('../models/userModel');
 const { authenticate } = require('../middleware/auth');
+const { sortByPosition, calculateMove } = require('../utils/manualOrder');
+const {
+  TAG_MATCH_MODES,
+  normalizeTag,
+  normalizeTags,
+  extractHashtags,
+  hasTags,
+  countTags
+} = require('../utils/noteTags');
+const { MAX_MARKDOWN_LENGTH, renderMarkdown, findCheckboxes, setCheckbox } = require('../utils/markdown');
+
+// Orders the note list can be sorted in
+const NOTE_SORTS = ['created', 'manual'];
+
+// Formats a single note can be returned in; content is always the Markdown source
+const NOTE_FORMATS = ['markdown', 'html'];
+
+// Number of search results returned by default, and at most
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
 
-// GET all notes
+/**
+ * Work out the tags of a note from the request body. If the user has turned
+ * on extractNoteHashtags, the #hashtags in the content are added to them.
+ * @param {Array<string>} tags - The tags of the note
+ * @param {string} content - The content of the note
+ * @param {boolean} extractContentHashtags - Whether to add the hashtags in the content
+ * @returns {Object} { tags } on success or { error } with a message
+ */
+const resolveNoteTags = (tags, content, extractContentHashtags) => {
+  const result = normalizeTags(tags);
+  if (result.error || !extractContentHashtags) {
+    return result;
+  }
+  
+  return normalizeTags([...result.tags, ...extractHashtags(content)]);
+};
+
+/**
+ * Validate the tags to filter notes by, given once or more as ?tag=
+ * @param {string|Array<string>} tag - The tag query parameter
+ * @returns {Object} { tags } on success or { error } with a message
+ */
+const parseTagFilter = (tag) => {
+  const tags = (Array.isArray(tag) ? tag : [tag]).map(normalizeTag);
+  if (tags.some(item => !item)) {
+    return { error: 'Each tag must be letters, digits, dashes and underscores' };
+  }
+  
+  return { tags };
+};
+
+/**
+ * Add the content of a note rendered as sanitized HTML, if asked for with ?format=html
+ * @param {Object} note - The note
+ * @param {string} format - 'markdown' or 'html'
+ * @returns {Object} The note, with its `html` for the html format
+ */
+const formatNote = (note, format) => {
+  return format === 'html' ? { ...note, html: renderMarkdown(note.content) } : note;
+};
+
+/**
+ * Check whether the content of a note is short enough to be rendered
+ * @param {Object} note - The note
+ * @returns {boolean} Whether it can be rendered
+ */
+const isRenderable = (note) => {
+  return (note.content || '').length <= MAX_MARKDOWN_LENGTH;
+};
+
+// GET all notes (?sort=manual for the order set with PATCH /notes/:id/move,
+// ?tag=a&tag=b&match=all|any to only get notes with all or any of the tags)
 router.get('/', async (req, res) => {
   try {
     const userId = req.user.uid;
-    const notes = await noteModel.getAllNotes(userId);
-    res.json(notes);
+    const { sort = 'created', tag, match = 'all' } = req.query;
+    
+    if (!NOTE_SORTS.includes(sort)) {
+      return res.status(400).json({ message: `sort must be one of: ${NOTE_SORTS.join(', ')}` });
+    }
+    
+    if (!TAG_MATCH_MODES.includes(match)) {
+      return res.status(400).json({ message: `match must be one of: ${TAG_MATCH_MODES.join(', ')}` });
+    }
+    
+    const filter = tag !== undefined ? parseTagFilter(tag) : null;
+    if (filter && filter.error) {
+      return res.status(400).json({ message: filter.error });
+    }
+    
+    const allNotes = await noteModel.getAllNotes(userId);
+    const notes = filter ? allNotes.filter(note => hasTags(note, filter.tags, match)) : allNotes;
+    res.json(sort === 'manual' ? sortByPosition(notes) : notes);
   } catch (error) {
     console.error('Error fetching notes:', error);
     res.status(500).json({ message: 'Failed to fetch notes', error: error.message });
@@ -30,18 +118,119 @@ router.get('/favorites', async (req, res) => {
   }
 });
 
-// GET note by ID
+// GET the tags used on the user's notes, with how many notes use each
+router.get('/tags', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const notes = await noteModel.getAllNotes(userId);
+    res.json(countTags(notes));
+  } catch (error) {
+    console.error('Error fetching note tags:', error);
+    res.status(500).json({ message: 'Failed to fetch note tags', error: error.message });
+  }
+});
+
+// PUT rename a tag on all notes ({ name }); renaming to a tag in use merges the two
+router.put('/tags/:tag', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const from = normalizeTag(req.params.tag);
+    const to = normalizeTag(req.body.name);
+    
+    if (!to) {
+      return res.status(400).json({ message: 'name must be a tag of letters, digits, dashes and underscores' });
+    }
+    
+    const notes = await noteModel.getAllNotes(userId);
+    if (!from || !notes.some(note => note.tags.includes(from))) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    
+    const updatedNotes = await noteModel.renameNoteTags([from], to, userId);
+    res.json({ from: [from], to, updatedNotes });
+  } catch (error) {
+    console.error('Error renaming note tag:', error);
+    res.status(500).json({ message: 'Failed to rename note tag', error: error.message });
+  }
+});
+
+// POST merge tags into one on all notes ({ from: [tags], to })
+router.post('/tags/merge', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { from, to } = req.body;
+    
+    if (!Array.isArray(from) || from.length === 0) {
+      return res.status(400).json({ message: 'from must be a non-empty list of tags' });
+    }
+    
+    const fromResult = normalizeTags(from);
+    if (fromResult.error) {
+      return res.status(400).json({ message: fromResult.error });
+    }
+    
+    const toTag = normalizeTag(to);
+    if (!toTag) {
+      return res.status(400).json({ message: 'to must be a tag of letters, digits, dashes and underscores' });
+    }
+    
+    const notes = await noteModel.getAllNotes(userId);
+    if (!notes.some(note => note.tags.some(tag => fromResult.tags.includes(tag)))) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+    
+    const updatedNotes = await noteModel.renameNoteTags(fromResult.tags, toTag, userId);
+    res.json({ from: fromResult.tags, to: toTag, updatedNotes });
+  } catch (error) {
+    console.error('Error merging note tags:', error);
+    res.status(500).json({ message: 'Failed to merge note tags', error: error.message });
+  }
+});
+
+// GET notes matching a search (?q=text&limit=N), best matches first
+router.get('/search', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { q } = req.query;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_SEARCH_LIMIT;
+    
+    if (typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ message: 'Search text (q) is required' });
+    }
+    
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      return res.status(400).json({ message: `limit must be a whole number between 1 and ${MAX_SEARCH_LIMIT}` });
+    }
+    
+    const { total, results } = await noteModel.searchNotes(userId, q, { limit });
+    res.json({ query: q, total, results });
+  } catch (error) {
+    console.error('Error searching notes:', error);
+    res.status(500).json({ message: 'Failed to search notes', error: error.message });
+  }
+});
+
+// GET note by ID (?format=html to also get its content rendered as HTML)
 router.get('/:id', async (req, res) => {
   try {
     const id = req.params.id;
     const userId = req.user.uid;
-    const note = await noteModel.getNoteById(id, userId);
+    const { format = 'markdown' } = req.query;
+    
+    if (!NOTE_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${NOTE_FORMATS.join(', ')}` });
+    }
     
+    const note = await noteModel.getNoteById(id, userId);
     if (!note) {
       return res.status(404).json({ message: 'Note not found' });
     }
     
-    res.json(note);
+    if (format === 'html' && !isRenderable(note)) {
+      return res.status(400).json({ message: `Notes longer than ${MAX_MARKDOWN_LENGTH} characters can't be rendered as HTML` });
+    }
+    
+    res.json(formatNote(note, format));
   } catch (error) {
     console.error('Error fetching note by ID:', error);
     res.status(500).json({ message: 'Failed to fetch note', error: error.message });
@@ -51,17 +240,24 @@ router.get('/:id', async (req, res) => {
 // POST create new note
 router.post('/', async (req, res) => {
   try {
-    const { title, content, isFavorite } = req.body;
+    const { title, content, isFavorite, tags } = req.body;
     const userId = req.user.uid;
     
     if (!title) {
       return res.status(400).json({ message: 'Title is required' });
     }
     
+    const { extractNoteHashtags } = await userModel.getUserSettings(userId);
+    const tagsResult = resolveNoteTags(tags || [], content, extractNoteHashtags);
+    if (tagsResult.error) {
+      return res.status(400).json({ message: tagsResult.error });
+    }
+    
     const newNote = {
       title,
       content: content || '',
-      isFavorite: isFavorite || false
+      isFavorite: isFavorite || false,
+      tags: tagsResult.tags
     };
     
     const noteId = await noteModel.createNote(newNote, userId);
@@ -74,12 +270,32 @@ router.post('/', async (req, res) => {
   }
 });
 
+// POST render Markdown ({ content }) as sanitized HTML, e.g. to preview a note before saving it
+router.post('/render', async (req, res) => {
+  try {
+    const { content } = req.body;
+    
+    if (typeof content !== 'string') {
+      return res.status(400).json({ message: 'Content must be a string' });
+    }
+    
+    if (content.length > MAX_MARKDOWN_LENGTH) {
+      return res.status(400).json({ message: `Content must be at most ${MAX_MARKDOWN_LENGTH} characters` });
+    }
+    
+    res.json({ html: renderMarkdown(content), checkboxes: findCheckboxes(content).length });
+  } catch (error) {
+    console.error('Error rendering note:', error);
+    res.status(500).json({ message: 'Failed to render note', error: error.message });
+  }
+});
+
 // PUT update note
 router.put('/:id', async (req, res) => {
   try {
     const id = req.params.id;
     const userId = req.user.uid;
-    const { title, content, isFavorite } = req.body;
+    const { title, content, isFavorite, tags } = req.body;
     
     // Check if note exists
     const note = await noteModel.getNoteById(id, userId);
@@ -87,11 +303,22 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Note not found' });
     }
     
+    // Hashtags are only added, so removing one from the content keeps the tag
+    const { extractNoteHashtags } = await userModel.getUserSettings(userId);
+    const tagsChanged = tags !== undefined || (content !== undefined && extractNoteHashtags);
+    const tagsResult = tagsChanged
+      ? resolveNoteTags(tags !== undefined ? tags : note.tags, content !== undefined ? content : note.content, extractNoteHashtags)
+      : {};
+    if (tagsResult.error) {
+      return res.status(400).json({ message: tagsResult.error });
+    }
+    
     // Update only provided fields
     const updates = {};
     if (title !== undefined) updates.title = title;
     if (content !== undefined) updates.content = content;
     if (isFavorite !== undefined) updates.isFavorite = isFavorite;
+    if (tagsChanged) updates.tags = tagsResult.tags;
     
     const updatedNote = await noteModel.updateNote(id, updates, userId);
     res.json(updatedNote);
@@ -139,4 +366,79 @@ router.patch('/:id/toggle-favorite', async (req, res) => {
   }
 });
 
+// PATCH move a note in the manual order, next to other notes ({ before, after })
+router.patch('/:id/move', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const { before, after } = req.body;
+    
+    const notes = await noteModel.getAllNotes(userId);
+    if (!notes.some(note => note.id === id)) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+    
+    const move = calculateMove(id, { before, after }, notes);
+    if (move.error) {
+      return res.status(400).json({ message: move.error });
+    }
+    
+    await noteModel.updateNotePositions(move.positions);
+    const updatedNote = await noteModel.getNoteById(id, userId);
+    res.json(updatedNote);
+  } catch (error) {
+    console.error('Error moving note:', error);
+    res.status(500).json({ message: 'Failed to move note', error: error.message });
+  }
+});
+
+// PATCH check or uncheck a checkbox of a note by its number in the rendered
+// HTML ({ checked }, toggles it if left out; ?format=html as for GET)
+router.patch('/:id/checkboxes/:index', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const index = Number(req.params.index);
+    const { checked } = req.body;
+    const { format = 'markdown' } = req.query;
+    
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ message: 'Checkbox index must be a non-negative integer' });
+    }
+    
+    if (checked !== undefined && typeof checked !== 'boolean') {
+      return res.status(400).json({ message: 'checked must be a boolean' });
+    }
+    
+    if (!NOTE_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${NOTE_FORMATS.join(', ')}` });
+    }
+    
+    const note = await noteModel.getNoteById(id, userId);
+    if (!note) {
+      return res.status(404).json({ message: 'Note not found' });
+    }
+    
+    if (!isRenderable(note)) {
+      return res.status(400).json({ message: `Notes longer than ${MAX_MARKDOWN_LENGTH} characters can't be rendered as HTML` });
+    }
+    
+    const checkbox = findCheckboxes(note.content)[index];
+    if (!checkbox) {
+      return res.status(404).json({ message: 'Checkbox not found' });
+    }
+    
+    // The source is only changed if the checkbox changes
+    const newChecked = checked !== undefined ? checked : !checkbox.checked;
+    const updatedNote = newChecked !== checkbox.checked
+      ? await noteModel.updateNote(id, { content: setCheckbox(note.content, checkbox, newChecked) }, userId)
+      : note;
+    
+    res.json(formatNote(updatedNote, format));
+  } catch (error) {
+    console.error('Error toggling note checkbox:', error);
+    res.status(500).json({ message: 'Failed to toggle note checkbox', error: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,19 +1,318 @@
 const express = require('express');
 const router = express.Router();
 const taskModel = require('../models/taskModel');
+const userModel = require('../models/userModel');
+const categoryModel = require('../models/categoryModel');
 const { authenticate } = require('../middleware/auth');
-const { scheduleTaskDueReminder, cancelAllJobsForTask } = require('../utils/scheduleService');
-const admin = require('firebase-admin');
+const {
+  getTaskReminders,
+  normalizeTaskReminders,
+  rescheduleTaskDueReminder,
+  cancelAllJobsForTask
+} = require('../utils/scheduleService');
+const { toDateKey, toTimeKey, isValidDateKey, addDays, diffInDays, zonedTimeToDate } = require('../utils/dateUtils');
+const { normalizeRecurrence } = require('../utils/taskRecurrence');
+const { wouldCreateCycle } = require('../utils/taskDependencies');
+const { TASK_VIEWS, DEFAULT_UPCOMING_DAYS, groupTasksByView, countTaskViews } = require('../utils/taskViews');
+const { TASK_STATS_PERIODS, calculateTimeReport, calculateTaskStats } = require('../utils/statsService');
+const { parseQuickAdd } = require('../utils/taskQuickAdd');
+const { isSameCategory } = require('../utils/categoryTree');
+const { sortByPosition, calculateMove } = require('../utils/manualOrder');
+const { groupTasksByStatus } = require('../utils/taskStatus');
+
+// Orders the task list can be sorted in
+const TASK_SORTS = ['dueDate', 'manual'];
+
+// Number of days covered by the time report and task statistics by default
+const DEFAULT_TIME_REPORT_DAYS = 7;
+const DEFAULT_STATS_DAYS = 30;
+
+// Longest manual time entry (24 hours, in seconds)
+const MAX_TIME_ENTRY_DURATION = 24 * 60 * 60;
+
+// Snooze durations that can be picked by name, in minutes
+const SNOOZE_DURATIONS = { '10m': 10, '30m': 30, '1h': 60, '3h': 180 };
+
+// Time of day (in the user's timezone) at which "tomorrow" snoozes end
+const SNOOZE_MORNING_TIME = '09:00';
+
+// Longest snooze (7 days, in minutes)
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
 
 // Apply authentication middleware to all routes
 router.use(authenticate);
 
-// GET all tasks
+/**
+ * Validate the recurrence rule of a task from a request body
+ * @param {Object|string|null} recurrence - The recurrence rule, or null for a one-off task
+ * @param {string|null} dueDate - The due date of the task
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} { recurrence } on success or { error } with a message
+ */
+const resolveRecurrence = async (recurrence, dueDate, userId) => {
+  if (recurrence === null) {
+    return { recurrence: null };
+  }
+  
+  if (!dueDate || Number.isNaN(new Date(dueDate).getTime())) {
+    return { error: 'A recurring task needs a valid dueDate' };
+  }
+  
+  const timeZone = await userModel.getUserTimeZone(userId);
+  return normalizeRecurrence(recurrence, { dueDate: toDateKey(dueDate, timeZone) });
+};
+
+/**
+ * Sort the user's tasks into views from the query parameters of a request
+ * @param {string} userId - The user ID
+ * @param {Object} query - The query parameters ({ days })
+ * @returns {Promise<Object>} { views, today, upcomingDays } on success or { error } with a message
+ */
+const loadTaskViews = async (userId, { days }) => {
+  const upcomingDays = days !== undefined ? Number(days) : DEFAULT_UPCOMING_DAYS;
+  if (!Number.isInteger(upcomingDays) || upcomingDays < 1 || upcomingDays > 366) {
+    return { error: 'days must be a number of days between 1 and 366' };
+  }
+  
+  // Days are counted in the user's timezone
+  const timeZone = await userModel.getUserTimeZone(userId);
+  const tasks = await taskModel.getAllTasks(userId);
+  
+  return {
+    views: groupTasksByView(tasks, { upcomingDays, timeZone }),
+    today: toDateKey(new Date(), timeZone),
+    upcomingDays
+  };
+};
+
+/**
+ * Resolve the range of days of a report from the query parameters of a
+ * request. Days are taken in the user's timezone and the range ends today
+ * by default.
+ * @param {Object} query - The query parameters ({ from, to })
+ * @param {number} defaultDays - Number of days covered when from is left out
+ * @param {string} timeZone - The user's timezone
+ * @returns {Object} { from, to } on success or { error } with a message
+ */
+const resolveReportRange = ({ from, to }, defaultDays, timeZone) => {
+  if ((from !== undefined && !isValidDateKey(from)) || (to !== undefined && !isValidDateKey(to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  
+  const lastDay = to || toDateKey(new Date(), timeZone);
+  const firstDay = from || addDays(lastDay, -(defaultDays - 1));
+  
+  if (firstDay > lastDay) {
+    return { error: 'from must not be after to' };
+  }
+  
+  if (diffInDays(firstDay, lastDay) >= 366) {
+    return { error: 'The report can cover at most 366 days' };
+  }
+  
+  return { from: firstDay, to: lastDay };
+};
+
+/**
+ * Validate a manual time entry from a request body. The end of the entry is
+ * given either as endedAt or as a duration in seconds.
+ * @param {Object} body - The request body ({ startedAt, endedAt, duration, note })
+ * @returns {Object} { entry } on success or { error } with a message
+ */
+const buildTimeEntry = ({ startedAt, endedAt, duration, note }) => {
+  const start = new Date(startedAt);
+  if (!startedAt || Number.isNaN(start.getTime())) {
+    return { error: 'startedAt must be a valid date' };
+  }
+  
+  if ((endedAt === undefined) === (duration === undefined)) {
+    return { error: 'Either endedAt or duration is required' };
+  }
+  
+  if (duration !== undefined && !Number.isInteger(duration)) {
+    return { error: 'duration must be a whole number of seconds' };
+  }
+  
+  const end = endedAt !== undefined ? new Date(endedAt) : new Date(start.getTime() + duration * 1000);
+  if (Number.isNaN(end.getTime())) {
+    return { error: 'endedAt must be a valid date' };
+  }
+  
+  const seconds = (end - start) / 1000;
+  if (seconds <= 0 || seconds > MAX_TIME_ENTRY_DURATION) {
+    return { error: `A time entry must last between 1 and ${MAX_TIME_ENTRY_DURATION} seconds` };
+  }
+  
+  if (end > new Date()) {
+    return { error: 'A time entry cannot end in the future' };
+  }
+  
+  return {
+    entry: {
+      startedAt: start.toISOString(),
+      endedAt: end.toISOString(),
+      note: typeof note === 'string' ? note : ''
+    }
+  };
+};
+
+/**
+ * Work out when a snooze ends from a request body: a named duration
+ * ('10m', '30m', '1h', '3h' or 'tomorrow' for tomorrow morning), a number
+ * of minutes or a time
+ * @param {Object} body - The request body ({ duration, minutes, until })
+ * @param {string} timeZone - The user's timezone
+ * @returns {Object} { until } as an ISO date string on success or { error } with a message
+ */
+const resolveSnoozeUntil = ({ duration, minutes, until }, timeZone) => {
+  const now = new Date();
+  
+  if ([duration, minutes, until].filter(value => value !== undefined).length !== 1) {
+    return { error: 'Give exactly one of duration, minutes or until' };
+  }
+  
+  if (duration !== undefined) {
+    if (duration === 'tomorrow') {
+      return { until: zonedTimeToDate(addDays(toDateKey(now, timeZone), 1), SNOOZE_MORNING_TIME, timeZone).toISOString() };
+    }
+    
+    if (!SNOOZE_DURATIONS[duration]) {
+      return { error: `duration must be one of: ${[...Object.keys(SNOOZE_DURATIONS), 'tomorrow'].join(', ')}` };
+    }
+    
+    return { until: new Date(now.getTime() + SNOOZE_DURATIONS[duration] * 60 * 1000).toISOString() };
+  }
+  
+  if (minutes !== undefined) {
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+      return { error: `minutes must be a whole number between 1 and ${MAX_SNOOZE_MINUTES}` };
+    }
+    
+    return { until: new Date(now.getTime() + minutes * 60 * 1000).toISOString() };
+  }
+  
+  const untilDate = new Date(until);
+  if (Number.isNaN(untilDate.getTime()) || untilDate <= now || untilDate - now > MAX_SNOOZE_MINUTES * 60 * 1000) {
+    return { error: 'until must be a time within the next 7 days' };
+  }
+  
+  return { until: untilDate.toISOString() };
+};
+
+/**
+ * Work out the new due date of a deferred task from a request body: either
+ * a later date, or a number of days to move the current due date by (keeping
+ * its time of day in the user's timezone). Only tasks with a due date can be
+ * deferred; giving a task its first due date isn't a postponement.
+ * @param {Object} body - The request body ({ dueDate, days })
+ * @param {Object} task - The task
+ * @param {string} timeZone - The user's timezone
+ * @returns {Object} { dueDate } as an ISO date string on success or { error } with a message
+ */
+const resolveDeferDate = ({ dueDate, days }, task, timeZone) => {
+  if ((dueDate === undefined) === (days === undefined)) {
+    return { error: 'Give either dueDate or days' };
+  }
+  
+  if (!task.dueDate) {
+    return { error: 'The task has no due date to defer; set one with PUT /tasks/:id instead' };
+  }
+  
+  if (dueDate !== undefined) {
+    const date = new Date(dueDate);
+    if (!dueDate || Number.isNaN(date.getTime())) {
+      return { error: 'dueDate must be a valid date' };
+    }
+    
+    if (date <= new Date(task.dueDate)) {
+      return { error: 'dueDate must be later than the current due date' };
+    }
+    
+    return { dueDate: date.toISOString() };
+  }
+  
+  if (!Number.isInteger(days) || days < 1 || days > 366) {
+    return { error: 'days must be a whole number between 1 and 366' };
+  }
+  
+  const newDay = addDays(toDateKey(task.dueDate, timeZone), days);
+  return { dueDate: zonedTimeToDate(newDay, toTimeKey(task.dueDate, timeZone), timeZone).toISOString() };
+};
+
+/**
+ * Validate a list of subtask titles from a request body
+ * @param {Array} titles - The subtask titles
+ * @returns {string|null} An error message, or null if the input is valid
+ */
+const validateSubtaskTitles = (titles) => {
+  if (!Array.isArray(titles) || !titles.every(title => typeof title === 'string' && title.trim().length > 0)) {
+    return 'Subtasks must be a list of non-empty titles';
+  }
+  
+  return null;
+};
+
+/**
+ * Check whether a task may be completed. A task with open subtasks can only
+ * be completed together with them.
+ * @param {Object} task - The task
+ * @param {boolean} completeSubtasks - Whether open subtasks should be completed too
+ * @returns {string|null} An error message, or null if the task can be completed
+ */
+const checkOpenSubtasks = (task, completeSubtasks) => {
+  const openSubtasks = task.subtasks.filter(subtask => !subtask.completed).length;
+  
+  if (openSubtasks > 0 && !completeSubtasks) {
+    return `Task has ${openSubtasks} open subtask(s). Complete them first or pass completeSubtasks to complete them as well`;
+  }
+  
+  return null;
+};
+
+/**
+ * Check whether a task may be completed while tasks it depends on are
+ * still open
+ * @param {Object} task - The task
+ * @param {boolean} force - Whether the task should be completed anyway
+ * @returns {string|null} An error message, or null if the task can be completed
+ */
+const checkOpenBlockers = (task, force) => {
+  if (task.blocked && !force) {
+    return 'Task is blocked by open tasks. Complete them first or pass force to complete it anyway';
+  }
+  
+  return null;
+};
+
+/**
+ * Create the next occurrence of a recurring task that was just completed
+ * and schedule its due date reminder
+ * @param {string} id - The completed task ID
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} The new task, or null if none was created
+ */
+const spawnNextOccurrence = async (id, userId) => {
+  const nextTask = await taskModel.createNextOccurrence(id, userId);
+  
+  if (nextTask) {
+    await rescheduleTaskDueReminder(nextTask.id, nextTask, userId);
+  }
+  
+  return nextTask;
+};
+
+// GET all tasks (?sort=manual for the order set with PATCH /tasks/:id/move)
 router.get('/', async (req, res) => {
   try {
     const userId = req.user.uid;
+    const { sort = 'dueDate' } = req.query;
+    
+    if (!TASK_SORTS.includes(sort)) {
+      return res.status(400).json({ message: `sort must be one of: ${TASK_SORTS.join(', ')}` });
+    }
+    
     const tasks = await taskModel.getAllTasks(userId);
-    res.json(tasks);
+    res.json(sort === 'manual' ? sortByPosition(tasks) : tasks);
   } catch (error) {
     console.error('Error fetching tasks:', error);
     res.status(500).json({ message: 'Failed to fetch tasks', error: error.message });
@@ -47,6 +346,139 @@ router.get('/priority/:priority', async (req, res) => {
   }
 });
 
+// GET the number of tasks in each view
+router.get('/views', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    
+    const result = await loadTaskViews(userId, req.query);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    
+    res.json({
+      today: result.today,
+      upcomingDays: result.upcomingDays,
+      counts: countTaskViews(result.views)
+    });
+  } catch (error) {
+    console.error('Error fetching task views:', error);
+    res.status(500).json({ message: 'Failed to fetch task views', error: error.message });
+  }
+});
+
+// GET the open tasks of a view: overdue, today, upcoming (?days=N) or someday
+router.get('/views/:view', async (req, res) => {
+  try {
+    const { view } = req.params;
+    const userId = req.user.uid;
+    
+    if (!TASK_VIEWS.includes(view)) {
+      return res.status(404).json({ message: `View not found. Available views: ${TASK_VIEWS.join(', ')}` });
+    }
+    
+    const result = await loadTaskViews(userId, req.query);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    
+    res.json({
+      view,
+      today: result.today,
+      upcomingDays: result.upcomingDays,
+      tasks: result.views[view],
+      counts: countTaskViews(result.views)
+    });
+  } catch (error) {
+    console.error('Error fetching task view:', error);
+    res.status(500).json({ message: 'Failed to fetch task view', error: error.message });
+  }
+});
+
+// GET tasks grouped into board columns by status, each in manual order
+router.get('/board', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { taskStatuses } = await userModel.getUserSettings(userId);
+    const tasks = await taskModel.getAllTasks(userId);
+    
+    res.json({ columns: groupTasksByStatus(sortByPosition(tasks), taskStatuses) });
+  } catch (error) {
+    console.error('Error fetching task board:', error);
+    res.status(500).json({ message: 'Failed to fetch task board', error: error.message });
+  }
+});
+
+// GET the timer the user has running, if any
+router.get('/timer', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const timer = await taskModel.getRunningTimer(userId);
+    
+    res.json({
+      timer: timer
+        ? { ...timer, elapsedSeconds: Math.round((Date.now() - new Date(timer.startedAt)) / 1000) }
+        : null
+    });
+  } catch (error) {
+    console.error('Error fetching running timer:', error);
+    res.status(500).json({ message: 'Failed to fetch running timer', error: error.message });
+  }
+});
+
+// GET tracked time by category and day (?from=YYYY-MM-DD&to=YYYY-MM-DD, defaults to the last 7 days)
+router.get('/time-report', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    
+    // Days are counted in the user's timezone
+    const timeZone = await userModel.getUserTimeZone(userId);
+    const range = resolveReportRange(req.query, DEFAULT_TIME_REPORT_DAYS, timeZone);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+    const { from, to } = range;
+    
+    const tasks = await taskModel.getAllTasks(userId);
+    const entries = await taskModel.getUserTimeEntries(userId, {
+      from: zonedTimeToDate(from, '00:00', timeZone).toISOString(),
+      to: zonedTimeToDate(addDays(to, 1), '00:00', timeZone).toISOString()
+    });
+    
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    res.json(calculateTimeReport(entries, tasksById, { from, to }, timeZone));
+  } catch (error) {
+    console.error('Error fetching time report:', error);
+    res.status(500).json({ message: 'Failed to fetch time report', error: error.message });
+  }
+});
+
+// GET completion statistics of tasks (?from=YYYY-MM-DD&to=YYYY-MM-DD&period=day|week, defaults to the last 30 days per day)
+router.get('/stats', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { period = 'day' } = req.query;
+    
+    if (!TASK_STATS_PERIODS.includes(period)) {
+      return res.status(400).json({ message: `period must be one of: ${TASK_STATS_PERIODS.join(', ')}` });
+    }
+    
+    const timeZone = await userModel.getUserTimeZone(userId);
+    const range = resolveReportRange(req.query, DEFAULT_STATS_DAYS, timeZone);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+    
+    const tasks = await taskModel.getAllTasks(userId);
+    const postponements = await taskModel.getUserPostponements(userId);
+    
+    res.json(calculateTaskStats(tasks, { ...range, period, postponements }, timeZone));
+  } catch (error) {
+    console.error('Error fetching task stats:', error);
+    res.status(500).json({ message: 'Failed to fetch task stats', error: error.message });
+  }
+});
+
 // GET task by ID - This route must come after the more specific routes above
 router.get('/:id', async (req, res) => {
   try {
@@ -68,38 +500,51 @@ router.get('/:id', async (req, res) => {
 // POST create new task
 router.post('/', async (req, res) => {
   try {
-    const { name, category, dueDate, priority } = req.body;
+    const { name, category, dueDate, priority, recurrence, subtasks, reminders } = req.body;
     const userId = req.user.uid;
     
     if (!name) {
       return res.status(400).json({ message: 'Name is required' });
     }
     
+    const subtasksError = subtasks !== undefined ? validateSubtaskTitles(subtasks) : null;
+    if (subtasksError) {
+      return res.status(400).json({ message: subtasksError });
+    }
+    
+    const resolved = await resolveRecurrence(recurrence === undefined ? null : recurrence, dueDate, userId);
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error });
+    }
+    
+    // Tasks without reminders of their own use the user's default
+    let remindersResult = { reminders: null };
+    if (reminders !== undefined && reminders !== null) {
+      const { taskReminders } = await userModel.getUserSettings(userId);
+      remindersResult = normalizeTaskReminders(reminders, taskReminders);
+    }
+    if (remindersResult.error) {
+      return res.status(400).json({ message: remindersResult.error });
+    }
+    
     const newTask = {
       name,
       category: category || '',
       dueDate: dueDate || null,
       priority: priority || 'medium',
-      completed: false
+      completed: false,
+      recurrence: resolved.recurrence, // Rule for the next occurrence, null for one-off tasks
+      reminders: remindersResult.reminders // Minutes before the due date, null for the user's default
     };
     
     const taskId = await taskModel.createTask(newTask, userId);
-    const insertedTask = await taskModel.getTaskById(taskId, userId);
+    const insertedTask = subtasks && subtasks.length > 0
+      ? await taskModel.addSubtasks(taskId, subtasks.map(title => title.trim()), userId)
+      : await taskModel.getTaskById(taskId, userId);
     
     // Schedule due date reminder if task has a due date
     if (insertedTask.dueDate) {
-      try {
-        const userRecord = await admin.auth().getUser(userId);
-        const userEmail = userRecord.email;
-        const userName = userRecord.displayName || '';
-        
-        if (userEmail) {
-          scheduleTaskDueReminder(taskId, insertedTask, userId, userEmail, userName);
-        }
-      } catch (reminderError) {
-        console.error('Error scheduling task due reminder:', reminderError);
-        // Continue with response even if reminder scheduling fails
-      }
+      await rescheduleTaskDueReminder(taskId, insertedTask, userId);
     }
     
     res.status(201).json(insertedTask);
@@ -109,12 +554,68 @@ router.post('/', async (req, res) => {
   }
 });
 
+// POST create a task from a line of text, e.g. "Buy groceries tomorrow 5pm #Personal !high every week"
+router.post('/quick-add', async (req, res) => {
+  try {
+    const { text } = req.body;
+    const userId = req.user.uid;
+    
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ message: 'Text is required' });
+    }
+    
+    const timeZone = await userModel.getUserTimeZone(userId);
+    const parsed = parseQuickAdd(text, { timeZone });
+    if (!parsed.name) {
+      return res.status(400).json({ message: 'Text needs a task name besides the date, time, category and priority' });
+    }
+    
+    // Use the spelling of a matching managed category
+    let category = parsed.category;
+    if (category) {
+      const categories = await categoryModel.getAllCategories(userId);
+      const existing = categories.find(item => isSameCategory(item.name, category));
+      if (existing) category = existing.name;
+    }
+    
+    const resolved = await resolveRecurrence(parsed.recurrence, parsed.dueDate, userId);
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error });
+    }
+    
+    const newTask = {
+      name: parsed.name,
+      category: category || '',
+      dueDate: parsed.dueDate,
+      priority: parsed.priority || 'medium',
+      completed: false,
+      recurrence: resolved.recurrence,
+      reminders: null
+    };
+    
+    const taskId = await taskModel.createTask(newTask, userId);
+    const insertedTask = await taskModel.getTaskById(taskId, userId);
+    
+    if (insertedTask.dueDate) {
+      await rescheduleTaskDueReminder(taskId, insertedTask, userId);
+    }
+    
+    res.status(201).json({
+      task: insertedTask,
+      parsed: { ...parsed, category, recurrence: resolved.recurrence }
+    });
+  } catch (error) {
+    console.error('Error quick-adding task:', error);
+    res.status(500).json({ message: 'Failed to create task', error: error.message });
+  }
+});
+
 // PUT update task
 router.put('/:id', async (req, res) => {
   try {
     const id = req.params.id;
     const userId = req.user.uid;
-    const { name, category, dueDate, priority, completed } = req.body;
+    const { name, category, dueDate, priority, completed, recurrence, reminders, completeSubtasks, force } = req.body;
     
     // Check if task exists
     const task = await taskModel.getTaskById(id, userId);
@@ -122,8 +623,39 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Task not found' });
     }
     
-    // If due date or completion status is being updated, cancel any existing reminders
-    if (dueDate !== undefined || completed !== undefined) {
+    const completing = completed === true && !task.completed;
+    const completionError = completing
+      ? checkOpenBlockers(task, force === true) || checkOpenSubtasks(task, completeSubtasks === true)
+      : null;
+    if (completionError) {
+      return res.status(400).json({ message: completionError });
+    }
+    
+    // The rule is checked against the new due date, if one is given
+    let resolved = {};
+    if (recurrence !== undefined) {
+      resolved = await resolveRecurrence(recurrence, dueDate !== undefined ? dueDate : task.dueDate, userId);
+    } else if (dueDate !== undefined && task.recurrence && !dueDate) {
+      resolved = { error: 'A recurring task needs a valid dueDate' };
+    }
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error });
+    }
+    
+    // null goes back to the user's default reminders
+    let remindersResult = { reminders: null };
+    if (reminders !== undefined && reminders !== null) {
+      const { taskReminders } = await userModel.getUserSettings(userId);
+      remindersResult = normalizeTaskReminders(reminders, getTaskReminders(task, taskReminders));
+    }
+    if (remindersResult.error) {
+      return res.status(400).json({ message: remindersResult.error });
+    }
+    
+    const remindersChanged = dueDate !== undefined || completed !== undefined || reminders !== undefined;
+    
+    // If due date, completion status or reminders are being updated, cancel any existing reminders
+    if (remindersChanged) {
       cancelAllJobsForTask(id);
     }
     
@@ -131,25 +663,38 @@ router.put('/:id', async (req, res) => {
     const updates = {};
     if (name !== undefined) updates.name = name;
     if (category !== undefined) updates.category = category;
-    if (dueDate !== undefined) updates.dueDate = dueDate;
+    if (dueDate !== undefined) {
+      updates.dueDate = dueDate;
+      updates.snoozedUntil = null; // A new due date ends any snooze
+    }
     if (priority !== undefined) updates.priority = priority;
     if (completed !== undefined) updates.completed = completed;
+    // Completing or reopening moves the task to the first done or open status
+    if (completed !== undefined && completed !== task.completed) updates.status = null;
+    if (recurrence !== undefined) updates.recurrence = resolved.recurrence;
+    if (reminders !== undefined) updates.reminders = remindersResult.reminders;
+    
+    if (completing && completeSubtasks === true) {
+      await taskModel.completeOpenSubtasks(id, userId);
+    }
+    
+    // A timer running on the task stops when it is completed
+    if (completing) {
+      await taskModel.stopTaskTimer(id, userId);
+    }
     
     const updatedTask = await taskModel.updateTask(id, updates, userId);
     
-    // Reschedule due date reminder if task was updated with a new due date and isn't completed
-    if ((dueDate !== undefined || completed !== undefined) && updatedTask.dueDate && !updatedTask.completed) {
-      try {
-        const userRecord = await admin.auth().getUser(userId);
-        const userEmail = userRecord.email;
-        const userName = userRecord.displayName || '';
-        
-        if (userEmail) {
-          scheduleTaskDueReminder(id, updatedTask, userId, userEmail, userName);
-        }
-      } catch (reminderError) {
-        console.error('Error rescheduling task due reminder:', reminderError);
-        // Continue with response even if reminder scheduling fails
+    // Reschedule due date reminders if the task was updated with a new due date or reminders and isn't completed
+    if (remindersChanged && updatedTask.dueDate && !updatedTask.completed) {
+      await rescheduleTaskDueReminder(id, updatedTask, userId);
+    }
+    
+    // Completing a recurring task creates its next occurrence
+    if (updatedTask.completed && !task.completed) {
+      const nextOccurrence = await spawnNextOccurrence(id, userId);
+      if (nextOccurrence) {
+        return res.json({ ...updatedTask, nextOccurrenceId: nextOccurrence.id, nextOccurrence });
       }
     }
     
@@ -188,36 +733,46 @@ router.patch('/:id/toggle', async (req, res) => {
   try {
     const id = req.params.id;
     const userId = req.user.uid;
-    const updatedTask = await taskModel.toggleTaskCompletion(id, userId);
+    const completeSubtasks = req.query.completeSubtasks === 'true' || (req.body && req.body.completeSubtasks === true);
+    const force = req.query.force === 'true' || (req.body && req.body.force === true);
     
-    if (!updatedTask) {
+    const task = await taskModel.getTaskById(id, userId);
+    if (!task) {
       return res.status(404).json({ message: 'Task not found' });
     }
     
-    // If task is now completed, cancel any due reminders
+    if (!task.completed) {
+      const completionError = checkOpenBlockers(task, force) || checkOpenSubtasks(task, completeSubtasks);
+      if (completionError) {
+        return res.status(400).json({ message: completionError });
+      }
+      
+      if (completeSubtasks) {
+        await taskModel.completeOpenSubtasks(id, userId);
+      }
+      
+      // A timer running on the task stops when it is completed
+      await taskModel.stopTaskTimer(id, userId);
+    }
+    
+    const updatedTask = await taskModel.toggleTaskCompletion(id, userId);
+    
+    // If task is now completed, cancel any due reminders and create the next
+    // occurrence of a recurring task
     // If it's uncompleted and has a future due date, reschedule the reminder
     if (updatedTask.completed) {
       cancelAllJobsForTask(id);
+      
+      const nextOccurrence = await spawnNextOccurrence(id, userId);
+      if (nextOccurrence) {
+        return res.json({ ...updatedTask, nextOccurrenceId: nextOccurrence.id, nextOccurrence });
+      }
     } else if (updatedTask.dueDate) {
       const dueDate = new Date(updatedTask.dueDate);
       const now = new Date();
       // Only reschedule if due date is in the future
       if (dueDate > now) {
-        try {
-          const userRecord = await admin.auth().getUser(userId);
-          const userEmail = userRecord.email;
-          const userName = userRecord.displayName || '';
-          
-          if (userEmail) {
-            // Cancel any existing reminders first
-            cancelAllJobsForTask(id);
-            // Then schedule new reminder
-            scheduleTaskDueReminder(id, updatedTask, userId, userEmail, userName);
-          }
-        } catch (reminderError) {
-          console.error('Error rescheduling task due reminder after toggle:', reminderError);
-          // Continue with response even if reminder scheduling fails
-        }
+        await rescheduleTaskDueReminder(id, updatedTask, userId);
       }
     }
     
@@ -228,4 +783,462 @@ router.patch('/:id/toggle', async (req, res) => {
   }
 });
 
+// PATCH move a task to another workflow status; done statuses complete it
+router.patch('/:id/status', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const { status, completeSubtasks, force } = req.body;
+    
+    const task = await taskModel.getTaskById(id, userId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    const { taskStatuses } = await userModel.getUserSettings(userId);
+    const target = taskStatuses.find(item => item.key === status);
+    if (!target) {
+      return res.status(400).json({ message: `status must be one of: ${taskStatuses.map(item => item.key).join(', ')}` });
+    }
+    
+    const completing = target.done && !task.completed;
+    const reopening = !target.done && task.completed;
+    
+    if (completing) {
+      const completionError = checkOpenBlockers(task, force === true) || checkOpenSubtasks(task, completeSubtasks === true);
+      if (completionError) {
+        return res.status(400).json({ message: completionError });
+      }
+      
+      if (completeSubtasks === true) {
+        await taskModel.completeOpenSubtasks(id, userId);
+      }
+      
+      // A timer running on the task stops when it is completed
+      await taskModel.stopTaskTimer(id, userId);
+    }
+    
+    const updatedTask = await taskModel.updateTask(id, { status: target.key, completed: target.done }, userId);
+    
+    if (completing) {
+      cancelAllJobsForTask(id);
+      
+      const nextOccurrence = await spawnNextOccurrence(id, userId);
+      if (nextOccurrence) {
+        return res.json({ ...updatedTask, nextOccurrenceId: nextOccurrence.id, nextOccurrence });
+      }
+    } else if (reopening && updatedTask.dueDate) {
+      await rescheduleTaskDueReminder(id, updatedTask, userId);
+    }
+    
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error updating task status:', error);
+    res.status(500).json({ message: 'Failed to update task status', error: error.message });
+  }
+});
+
+// POST add subtasks (checklist items) to a task
+router.post('/:id/subtasks', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const { title, titles } = req.body;
+    
+    // Accept a single title or a list of titles
+    const newTitles = titles !== undefined ? titles : [title];
+    const titlesError = validateSubtaskTitles(newTitles);
+    if (titlesError) {
+      return res.status(400).json({ message: titles !== undefined ? titlesError : 'Title is required' });
+    }
+    
+    const updatedTask = await taskModel.addSubtasks(id, newTitles.map(item => item.trim()), userId);
+    
+    if (!updatedTask) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    res.status(201).json(updatedTask);
+  } catch (error) {
+    console.error('Error adding subtasks:', error);
+    res.status(500).json({ message: 'Failed to add subtasks', error: error.message });
+  }
+});
+
+// PUT reorder the subtasks of a task
+router.put('/:id/subtasks/order', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const { order } = req.body;
+    
+    const task = await taskModel.getTaskById(id, userId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    // The new order has to list every subtask exactly once
+    const subtaskIds = task.subtasks.map(subtask => subtask.id);
+    const isComplete = Array.isArray(order)
+      && order.length === subtaskIds.length
+      && new Set(order).size === order.length
+      && order.every(subtaskId => subtaskIds.includes(subtaskId));
+    if (!isComplete) {
+      return res.status(400).json({ message: 'Order must list the IDs of all subtasks of the task' });
+    }
+    
+    const updatedTask = await taskModel.reorderSubtasks(id, order, userId);
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error reordering subtasks:', error);
+    res.status(500).json({ message: 'Failed to reorder subtasks', error: error.message });
+  }
+});
+
+// PATCH toggle the completion status of a subtask
+router.patch('/:id/subtasks/:subtaskId/toggle', async (req, res) => {
+  try {
+    const { id, subtaskId } = req.params;
+    const userId = req.user.uid;
+    
+    const task = await taskModel.getTaskById(id, userId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    const subtask = task.subtasks.find(item => item.id === subtaskId);
+    if (!subtask) {
+      return res.status(404).json({ message: 'Subtask not found' });
+    }
+    
+    // Completing the last subtask doesn't complete the task itself
+    const updatedTask = await taskModel.updateSubtasks(id, { [subtaskId]: { completed: !subtask.completed } }, userId);
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error toggling subtask:', error);
+    res.status(500).json({ message: 'Failed to toggle subtask', error: error.message });
+  }
+});
+
+// DELETE subtask
+router.delete('/:id/subtasks/:subtaskId', async (req, res) => {
+  try {
+    const { id, subtaskId } = req.params;
+    const userId = req.user.uid;
+    
+    const task = await taskModel.getTaskById(id, userId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    if (!task.subtasks.some(item => item.id === subtaskId)) {
+      return res.status(404).json({ message: 'Subtask not found' });
+    }
+    
+    const updatedTask = await taskModel.deleteSubtask(id, subtaskId, userId);
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error deleting subtask:', error);
+    res.status(500).json({ message: 'Failed to delete subtask', error: error.message });
+  }
+});
+
+// POST start a timer on a task
+router.post('/:id/timer/start', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    
+    const result = await taskModel.startTaskTimer(id, userId);
+    if (!result) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    // Only one timer can run at a time; starting the same one again is a no-op
+    if (!result.started) {
+      if (result.timer.taskId !== id) {
+        return res.status(400).json({ message: 'A timer is already running on another task. Stop it first' });
+      }
+      return res.json({ task: result.task, timer: result.timer });
+    }
+    
+    res.status(201).json({ task: result.task, timer: result.timer });
+  } catch (error) {
+    console.error('Error starting task timer:', error);
+    res.status(500).json({ message: 'Failed to start task timer', error: error.message });
+  }
+});
+
+// POST stop the timer running on a task and record the time
+router.post('/:id/timer/stop', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const { note } = req.body || {};
+    
+    const result = await taskModel.stopTaskTimer(id, userId, { note: typeof note === 'string' ? note : '' });
+    if (!result) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    if (!result.entry) {
+      return res.status(400).json({ message: 'No timer is running on this task' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error stopping task timer:', error);
+    res.status(500).json({ message: 'Failed to stop task timer', error: error.message });
+  }
+});
+
+// GET the time entries of a task
+router.get('/:id/time-entries', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    
+    const entries = await taskModel.getTaskTimeEntries(id, userId);
+    if (!entries) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    res.json(entries);
+  } catch (error) {
+    console.error('Error fetching time entries:', error);
+    res.status(500).json({ message: 'Failed to fetch time entries', error: error.message });
+  }
+});
+
+// POST record time spent on a task manually
+router.post('/:id/time-entries', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    
+    const built = buildTimeEntry(req.body);
+    if (built.error) {
+      return res.status(400).json({ message: built.error });
+    }
+    
+    const result = await taskModel.addTimeEntry(id, userId, { ...built.entry, source: 'manual' });
+    if (!result) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error adding time entry:', error);
+    res.status(500).json({ message: 'Failed to add time entry', error: error.message });
+  }
+});
+
+// DELETE remove a time entry from a task
+router.delete('/:id/time-entries/:entryId', async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const userId = req.user.uid;
+    
+    const result = await taskModel.deleteTimeEntry(id, entryId, userId);
+    if (!result) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    if (!result.removed) {
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+    
+    res.json(result.task);
+  } catch (error) {
+    console.error('Error deleting time entry:', error);
+    res.status(500).json({ message: 'Failed to delete time entry', error: error.message });
+  }
+});
+
+// PATCH move a task in the manual order, next to other tasks ({ before, after })
+router.patch('/:id/move', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const { before, after } = req.body;
+    
+    const tasks = await taskModel.getAllTasks(userId);
+    if (!tasks.some(task => task.id === id)) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    const move = calculateMove(id, { before, after }, tasks);
+    if (move.error) {
+      return res.status(400).json({ message: move.error });
+    }
+    
+    await taskModel.updateTaskPositions(move.positions);
+    const updatedTask = await taskModel.getTaskById(id, userId);
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error moving task:', error);
+    res.status(500).json({ message: 'Failed to move task', error: error.message });
+  }
+});
+
+// POST snooze the reminders of a task without changing its due date
+router.post('/:id/snooze', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    
+    const task = await taskModel.getTaskById(id, userId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    if (task.completed || !task.dueDate) {
+      return res.status(400).json({ message: 'Only open tasks with a due date have reminders to snooze' });
+    }
+    
+    const timeZone = await userModel.getUserTimeZone(userId);
+    const resolved = resolveSnoozeUntil(req.body || {}, timeZone);
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error });
+    }
+    
+    const updatedTask = await taskModel.snoozeTask(id, userId, resolved.until);
+    await rescheduleTaskDueReminder(id, updatedTask, userId);
+    
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error snoozing task:', error);
+    res.status(500).json({ message: 'Failed to snooze task', error: error.message });
+  }
+});
+
+// POST defer a task to a later due date
+router.post('/:id/defer', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    
+    const task = await taskModel.getTaskById(id, userId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    if (task.completed) {
+      return res.status(400).json({ message: 'Completed tasks cannot be deferred' });
+    }
+    
+    const timeZone = await userModel.getUserTimeZone(userId);
+    const resolved = resolveDeferDate(req.body || {}, task, timeZone);
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error });
+    }
+    
+    const updatedTask = await taskModel.deferTask(id, userId, resolved.dueDate);
+    await rescheduleTaskDueReminder(id, updatedTask, userId);
+    
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error deferring task:', error);
+    res.status(500).json({ message: 'Failed to defer task', error: error.message });
+  }
+});
+
+// GET the snoozes and deferrals of a task
+router.get('/:id/postponements', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    
+    const postponements = await taskModel.getTaskPostponements(id, userId);
+    if (!postponements) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    res.json(postponements);
+  } catch (error) {
+    console.error('Error fetching task postponements:', error);
+    res.status(500).json({ message: 'Failed to fetch task postponements', error: error.message });
+  }
+});
+
+// GET the tasks a task depends on and the tasks that depend on it
+router.get('/:id/dependencies', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    
+    const graph = await taskModel.getTaskDependencyGraph(id, userId);
+    if (!graph) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    res.json(graph);
+  } catch (error) {
+    console.error('Error fetching task dependencies:', error);
+    res.status(500).json({ message: 'Failed to fetch task dependencies', error: error.message });
+  }
+});
+
+// POST make a task blocked by another task
+router.post('/:id/dependencies', async (req, res) => {
+  try {
+    const id = req.params.id;
+    const userId = req.user.uid;
+    const { blockedBy } = req.body;
+    
+    if (typeof blockedBy !== 'string' || !blockedBy) {
+      return res.status(400).json({ message: 'blockedBy must be the ID of a task' });
+    }
+    
+    const tasks = await taskModel.getAllTasks(userId);
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    
+    const task = tasksById.get(id);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    if (!tasksById.has(blockedBy)) {
+      return res.status(404).json({ message: 'Blocking task not found' });
+    }
+    
+    if (task.blockedBy.includes(blockedBy)) {
+      return res.json(await taskModel.getTaskById(id, userId));
+    }
+    
+    if (wouldCreateCycle(id, blockedBy, tasksById)) {
+      return res.status(400).json({ message: 'A task cannot depend on itself or on a task that depends on it' });
+    }
+    
+    const updatedTask = await taskModel.addTaskDependency(id, blockedBy, userId);
+    res.status(201).json(updatedTask);
+  } catch (error) {
+    console.error('Error adding task dependency:', error);
+    res.status(500).json({ message: 'Failed to add task dependency', error: error.message });
+  }
+});
+
+// DELETE remove a dependency between two tasks
+router.delete('/:id/dependencies/:blockerId', async (req, res) => {
+  try {
+    const { id, blockerId } = req.params;
+    const userId = req.user.uid;
+    
+    const task = await taskModel.getTaskById(id, userId);
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    
+    if (!task.blockedBy.includes(blockerId)) {
+      return res.status(404).json({ message: 'Dependency not found' });
+    }
+    
+    const updatedTask = await taskModel.removeTaskDependency(id, blockerId, userId);
+    res.json(updatedTask);
+  } catch (error) {
+    console.error('Error removing task dependency:', error);
+    res.status(500).json({ message: 'Failed to remove task dependency', error: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
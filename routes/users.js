@@ -1,7 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const { sendWelcomeEmail } = require('../utils/emailService');
+const {
+  rescheduleHabitReminders,
+  normalizeTaskReminders,
+  rescheduleTaskDueReminder
+} = require('../utils/scheduleService');
+const { isValidTimeZone } = require('../utils/dateUtils');
+const { normalizeTaskStatuses } = require('../utils/taskStatus');
 const { authenticate } = require('../middleware/auth');
+const userModel = require('../models/userModel');
+const habitModel = require('../models/habitModel');
+const taskModel = require('../models/taskModel');
 
 // POST send welcome email (public endpoint, no authentication required)
 router.post('/welcome-email', async (req, res) => {
@@ -115,4 +125,79 @@ router.get('/me', authenticate, async (req, res) => {
   }
 });
 
+// GET settings of the current user (requires authentication)
+router.get('/me/settings', authenticate, async (req, res) => {
+  try {
+    const settings = await userModel.getUserSettings(req.user.uid);
+    res.json(settings);
+  } catch (error) {
+    console.error('Error fetching user settings:', error);
+    res.status(500).json({
+      message: 'Failed to fetch user settings',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+});
+
+// PUT update settings of the current user (requires authentication)
+router.put('/me/settings', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { timezone, taskReminders, taskStatuses, extractNoteHashtags } = req.body;
+    
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'Timezone must be a valid IANA timezone name, e.g. Europe/Budapest' });
+    }
+    
+    if (extractNoteHashtags !== undefined && typeof extractNoteHashtags !== 'boolean') {
+      return res.status(400).json({ message: 'extractNoteHashtags must be a boolean' });
+    }
+    
+    const currentSettings = await userModel.getUserSettings(userId);
+    
+    const remindersResult = taskReminders !== undefined
+      ? normalizeTaskReminders(taskReminders, currentSettings.taskReminders)
+      : {};
+    if (remindersResult.error) {
+      return res.status(400).json({ message: remindersResult.error });
+    }
+    
+    // Tasks in a status that is removed move to the first open or done status
+    const statusesResult = taskStatuses !== undefined ? normalizeTaskStatuses(taskStatuses) : {};
+    if (statusesResult.error) {
+      return res.status(400).json({ message: statusesResult.error });
+    }
+    
+    // Update only provided fields
+    const updates = {};
+    if (timezone !== undefined) updates.timezone = timezone;
+    if (taskReminders !== undefined) updates.taskReminders = remindersResult.reminders;
+    if (taskStatuses !== undefined) updates.taskStatuses = statusesResult.statuses;
+    if (extractNoteHashtags !== undefined) updates.extractNoteHashtags = extractNoteHashtags;
+    
+    const settings = await userModel.updateUserSettings(userId, updates);
+    
+    // Habit reminders are scheduled in the user's timezone
+    if (timezone !== undefined && timezone !== currentSettings.timezone) {
+      const habits = await habitModel.getAllHabits(userId);
+      await Promise.all(habits.map(habit => rescheduleHabitReminders(habit.id, habit, userId)));
+    }
+    
+    // Open tasks without reminders of their own follow the default
+    if (taskReminders !== undefined) {
+      const tasks = await taskModel.getAllTasks(userId);
+      const affectedTasks = tasks.filter(task => !task.reminders && task.dueDate && !task.completed);
+      await Promise.all(affectedTasks.map(task => rescheduleTaskDueReminder(task.id, task, userId)));
+    }
+    
+    res.json(settings);
+  } catch (error) {
+    console.error('Error updating user settings:', error);
+    res.status(500).json({
+      message: 'Failed to update user settings',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * Normalize a category name for comparison, so "Work" and " work" match
+ * @param {string} name - The category name
+ * @returns {string} The trimmed, lower case name
+ */
+const normalizeCategoryName = (name) => {
+  return typeof name === 'string' ? name.trim().toLowerCase() : '';
+};
+
+/**
+ * Check whether two category names refer to the same category
+ * @param {string} a - A category name
+ * @param {string} b - Another category name
+ * @returns {boolean} Whether the names match, ignoring case and surrounding spaces
+ */
+const isSameCategory = (a, b) => {
+  return normalizeCategoryName(a) === normalizeCategoryName(b);
+};
+
+/**
+ * Get the IDs of every category nested under a category, at any depth
+ * @param {string} categoryId - The category ID
+ * @param {Array<Object>} categories - The user's categories ({ id, parentId })
+ * @returns {Array<string>} IDs of the subcategories
+ */
+const getDescendantIds = (categoryId, categories) => {
+  const descendants = [];
+  const queue = [categoryId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    categories
+      .filter(category => category.parentId === current && !descendants.includes(category.id))
+      .forEach(category => {
+        descendants.push(category.id);
+        queue.push(category.id);
+      });
+  }
+
+  return descendants;
+};
+
+/**
+ * Count the tasks and habits in each category. `counts` covers the items
+ * in the category itself and `totalCounts` adds those of its subcategories.
+ * @param {Array<Object>} categories - The user's categories ({ id, name, parentId })
+ * @param {Object} items - The user's items
+ * @param {Array<Object>} items.tasks - Tasks ({ category, completed })
+ * @param {Array<Object>} items.habits - Habits ({ category })
+ * @returns {Array<Object>} The categories with their counts
+ */
+const countCategoryItems = (categories, { tasks, habits }) => {
+  const direct = new Map(categories.map(category => {
+    const categoryTasks = tasks.filter(task => isSameCategory(task.category, category.name));
+    return [category.id, {
+      tasks: categoryTasks.length,
+      openTasks: categoryTasks.filter(task => !task.completed).length,
+      habits: habits.filter(habit => isSameCategory(habit.category, category.name)).length
+    }];
+  }));
+
+  return categories.map(category => {
+    const totalCounts = getDescendantIds(category.id, categories).reduce((totals, descendantId) => ({
+      tasks: totals.tasks + direct.get(descendantId).tasks,
+      openTasks: totals.openTasks + direct.get(descendantId).openTasks,
+      habits: totals.habits + direct.get(descendantId).habits
+    }), direct.get(category.id));
+
+    return { ...category, counts: direct.get(category.id), totalCounts };
+  });
+};
+
+module.exports = {
+  normalizeCategoryName,
+  isSameCategory,
+  getDescendantIds,
+  countCategoryItems
+};
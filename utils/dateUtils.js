@@ -0,0 +1,226 @@
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DEFAULT_TIMEZONE = 'UTC';
+
+// 1970-01-01 (day 0) was a Thursday, which is weekday 3 when weeks start on Monday
+const EPOCH_KEY = '1970-01-01';
+const EPOCH_WEEKDAY = 3;
+
+// Intl formatters are expensive to create, so keep one per timezone
+const formatters = new Map();
+
+/**
+ * Get a formatter that splits a date into its parts in a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat} The formatter
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+
+  return formatters.get(timeZone);
+};
+
+/**
+ * Get the calendar date and wall-clock time of an instant in a timezone
+ * @param {Date|string|number} date - The instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(new Date(date));
+  const values = {};
+  parts.forEach(({ type, value }) => {
+    if (type !== 'literal') values[type] = Number(value);
+  });
+  return values;
+};
+
+/**
+ * Check whether a value is a valid IANA timezone name (e.g. Europe/Budapest)
+ * @param {string} value - The value to check
+ * @returns {boolean} Whether the timezone is supported
+ */
+const isValidTimeZone = (value) => {
+  if (typeof value !== 'string' || value.length === 0) {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a value is a valid time of day (HH:mm, 24-hour clock)
+ * @param {string} value - The value to check
+ * @returns {boolean} Whether the value is a valid time
+ */
+const isValidTime = (value) => {
+  return typeof value === 'string' && TIME_REGEX.test(value);
+};
+
+/**
+ * Convert a date to a calendar day key (YYYY-MM-DD)
+ * @param {Date|string|number} date - The date to convert (defaults to now)
+ * @param {string} timeZone - IANA timezone the day is taken in (defaults to UTC)
+ * @returns {string} The day key
+ */
+const toDateKey = (date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  if (timeZone === DEFAULT_TIMEZONE) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the wall-clock time of an instant in a timezone
+ * @param {Date|string|number} date - The instant
+ * @param {string} timeZone - IANA timezone name (defaults to UTC)
+ * @returns {string} The time of day (HH:mm)
+ */
+const toTimeKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Get the offset of a timezone from UTC at a given instant
+ * @param {Date|number} date - The instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const instant = new Date(date).getTime();
+  return wallClockAsUtc - (instant - (instant % 1000));
+};
+
+/**
+ * Get the instant at which a wall-clock time occurs on a day in a timezone.
+ * Around DST transitions, a time that is skipped resolves to the same
+ * offset as before the jump (e.g. 02:30 becomes 03:30), and a time that
+ * occurs twice resolves to its first occurrence.
+ * @param {string} dateKey - The day key (YYYY-MM-DD)
+ * @param {string} time - The time of day (HH:mm)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} The instant
+ */
+const zonedTimeToDate = (dateKey, time, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Try the offsets in effect shortly before and after the wall-clock time
+  const offsetBefore = getTimeZoneOffset(wallClockAsUtc - DAY_IN_MS, timeZone);
+  const offsetAfter = getTimeZoneOffset(wallClockAsUtc + DAY_IN_MS, timeZone);
+  const candidates = [wallClockAsUtc - offsetBefore, wallClockAsUtc - offsetAfter].sort((a, b) => a - b);
+
+  const exactMatch = candidates.find(candidate => {
+    return candidate + getTimeZoneOffset(candidate, timeZone) === wallClockAsUtc;
+  });
+
+  return new Date(exactMatch !== undefined ? exactMatch : wallClockAsUtc - offsetBefore);
+};
+
+/**
+ * Check whether a value is a valid day key (YYYY-MM-DD)
+ * @param {string} value - The value to check
+ * @returns {boolean} Whether the value is a valid day key
+ */
+const isValidDateKey = (value) => {
+  if (typeof value !== 'string' || !DATE_KEY_REGEX.test(value)) {
+    return false;
+  }
+
+  // Reject impossible dates such as 2023-02-31
+  return toDateKey(`${value}T00:00:00Z`) === value;
+};
+
+/**
+ * Add a number of days to a day key
+ * @param {string} dateKey - The day key (YYYY-MM-DD)
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {string} The resulting day key
+ */
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  return toDateKey(date.getTime() + days * DAY_IN_MS);
+};
+
+/**
+ * Number of calendar days from one day key to another
+ * @param {string} fromKey - The start day key
+ * @param {string} toKey - The end day key
+ * @returns {number} Days between the two keys (negative if toKey is earlier)
+ */
+const diffInDays = (fromKey, toKey) => {
+  const from = new Date(`${fromKey}T00:00:00Z`);
+  const to = new Date(`${toKey}T00:00:00Z`);
+  return Math.round((to - from) / DAY_IN_MS);
+};
+
+/**
+ * Add a number of calendar months to a day key, clamping to the end of the
+ * month (e.g. 2023-01-31 + 1 month = 2023-02-28)
+ * @param {string} dateKey - The day key (YYYY-MM-DD)
+ * @param {number} months - Number of months to add (may be negative)
+ * @returns {string} The resulting day key
+ */
+const addMonths = (dateKey, months) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const lastDayOfMonth = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return toDateKey(Date.UTC(year, month - 1 + months, Math.min(day, lastDayOfMonth)));
+};
+
+/**
+ * Get the day of the week of a day key, with weeks starting on Monday
+ * @param {string} dateKey - The day key (YYYY-MM-DD)
+ * @returns {number} 0 (Monday) to 6 (Sunday)
+ */
+const getWeekday = (dateKey) => {
+  return (((diffInDays(EPOCH_KEY, dateKey) + EPOCH_WEEKDAY) % 7) + 7) % 7;
+};
+
+/**
+ * Get a sequential index of the Monday-based week a day falls into
+ * @param {string} dateKey - The day key (YYYY-MM-DD)
+ * @returns {number} The week index (consecutive weeks have consecutive indexes)
+ */
+const getWeekIndex = (dateKey) => {
+  return Math.floor((diffInDays(EPOCH_KEY, dateKey) + EPOCH_WEEKDAY) / 7);
+};
+
+module.exports = {
+  DAY_IN_MS,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  isValidTime,
+  toDateKey,
+  toTimeKey,
+  getTimeZoneOffset,
+  zonedTimeToDate,
+  isValidDateKey,
+  addDays,
+  addMonths,
+  diffInDays,
+  getWeekday,
+  getWeekIndex
+};
@@ -1,4 +1,14 @@
 const nodemailer = require('nodemailer');
+const { toDateKey } = require('./dateUtils');
+const {
+  getHabitSchedule,
+  getPeriodBounds,
+  getCompletionSlot,
+  getRequiredCompletions,
+  getPauseOn,
+  getPeriodName,
+  describeSchedule
+} = require('./habitSchedule');
 
 // Create reusable transporter object using SMTP transport
 let transporter;
@@ -146,39 +156,80 @@ const sendHabitReminderEmail = async (data) => {
       return { success: false, reason: 'habit_not_found' };
     }
     
+    // Archived and paused habits don't get reminders
+    const today = toDateKey(new Date(), data.timeZone);
+    if (habit.archived || getPauseOn(habit, today)) {
+      console.log(`Habit ${habitId} is archived or paused. Skipping reminder.`);
+      return { success: false, reason: 'habit_inactive' };
+    }
+    
+    // Skip the reminder if the habit is already done for today or for the period
+    const schedule = getHabitSchedule(habit);
+    const period = getPeriodBounds(today, schedule);
+    const slot = getCompletionSlot(today, schedule);
+    const periodHistory = await habitModel.getHabitHistory(habitId, data.userId, { from: period.start, to: period.end });
+    const completedDays = new Set(periodHistory.map(entry => entry.date));
+    const requiredDays = getRequiredCompletions(schedule);
+    
+    if (completedDays.size >= requiredDays || periodHistory.some(entry => entry.date >= slot.start && entry.date <= slot.end)) {
+      console.log(`Habit ${habitId} is already completed for the current period. Skipping reminder.`);
+      return { success: false, reason: 'habit_completed' };
+    }
+    
+    // Skip the reminder if the user has skipped the current period
+    const periodExcuses = await habitModel.getHabitExcuses(habitId, data.userId, { from: period.start, to: period.end });
+    if (periodExcuses.some(entry => entry.type === 'skip')) {
+      console.log(`Habit ${habitId} is skipped for the current period. Skipping reminder.`);
+      return { success: false, reason: 'habit_skipped' };
+    }
+    
     const displayName = name || email;
     const habitName = habit.name;
-    const frequency = habit.frequency || 'daily';
     const streak = habit.streak || 0;
     const category = habit.category || 'General';
     
-    // Format the frequency for display
-    const frequencyText = frequency.charAt(0).toUpperCase() + frequency.slice(1);
+    // Describe the schedule for display (e.g. "daily" or "every Mon, Wed and Fri")
+    const scheduleText = describeSchedule(schedule);
+    const periodName = getPeriodName(schedule);
     
     // Get streakText based on the current streak
     let streakText = '';
     if (streak === 0) {
       streakText = 'Start your streak today!';
     } else if (streak === 1) {
-      streakText = 'You have a streak of 1 day! Keep it going!';
+      streakText = `You have a streak of 1 ${periodName}! Keep it going!`;
     } else {
-      streakText = `You have a streak of ${streak} days! Keep up the good work!`;
+      streakText = `You have a streak of ${streak} ${periodName}s! Keep up the good work!`;
     }
     
+    // Show progress towards the weekly target of timesPerWeek habits
+    // and towards the amount target of quantitative habits
+    const progressLines = [];
+    if (requiredDays > 1) {
+      progressLines.push(`Completed ${completedDays.size} of ${requiredDays} times this week.`);
+    }
+    if (habit.target) {
+      const progress = await habitModel.getHabitProgressSummary(habitId, data.userId, today);
+      const unit = habit.unit ? ` ${habit.unit}` : '';
+      progressLines.push(`Logged ${progress.amount} of ${habit.target}${unit} so far.`);
+    }
+    const progressText = progressLines.join(' ');
+    
     const mailOptions = {
       from: process.env.EMAIL_FROM || '"Life Tracker Team" <no-reply@lifetracker.example.com>',
       to: email,
       subject: `Reminder: ${habitName}`,
-      text: `Hi ${displayName},\n\nThis is a reminder for your ${frequency} habit: "${habitName}" (${category}).\n\n${streakText}\n\nKeeping up with your habits consistently is the key to building lasting behavior changes.\n\nBest regards,\nThe Life Tracker Team`,
+      text: `Hi ${displayName},\n\nThis is a reminder for your habit "${habitName}" (${category}), scheduled ${scheduleText}.\n\n${progressText ? `${progressText}\n\n` : ''}${streakText}\n\nKeeping up with your habits consistently is the key to building lasting behavior changes.\n\nBest regards,\nThe Life Tracker Team`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <h2 style="color: #4a6ee0;">Habit Reminder</h2>
           <p>Hi ${displayName},</p>
-          <p>This is a reminder for your <strong>${frequencyText}</strong> habit:</p>
+          <p>This is a reminder for your habit, scheduled <strong>${scheduleText}</strong>:</p>
           <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 15px 0;">
             <h3 style="margin-top: 0; color: #333;">${habitName}</h3>
             <p><strong>Category:</strong> ${category}</p>
             <p style="margin-bottom: 10px;">${habit.description || ''}</p>
+            ${progressText ? `<p><strong>Progress:</strong> ${progressText}</p>` : ''}
             <p style="margin-top: 15px; color: #4a6ee0; font-weight: bold;">
               ${streakText}
             </p>
@@ -209,13 +260,33 @@ const sendHabitReminderEmail = async (data) => {
 };
 
 /**
- * Send a task due reminder email 15 minutes before the task is due
- * @param {Object} data - Contains task, user email, and name information
+ * Describe a reminder offset in words, e.g. 90 as "1 hour and 30 minutes"
+ * @param {number} offset - Minutes before the due date
+ * @returns {string} The offset in days, hours and minutes
+ */
+const describeReminderOffset = (offset) => {
+  const units = [
+    ['day', Math.floor(offset / (24 * 60))],
+    ['hour', Math.floor((offset % (24 * 60)) / 60)],
+    ['minute', offset % 60]
+  ];
+  const parts = units
+    .filter(([, amount]) => amount > 0)
+    .map(([unit, amount]) => `${amount} ${unit}${amount === 1 ? '' : 's'}`);
+  
+  return parts.length > 1
+    ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`
+    : parts[0];
+};
+
+/**
+ * Send a task due reminder email the reminder offset before the task is due
+ * @param {Object} data - Contains task, reminder offset (minutes, negative once the task is overdue), user email, and name information
  * @returns {Promise<Object>} Email sending result
  */
 const sendTaskDueReminderEmail = async (data) => {
   try {
-    const { taskId, email, name = '' } = data;
+    const { taskId, email, name = '', offset = 15 } = data;
     
     // Get the latest task information from the database
     // We need to import the model here to avoid circular dependencies
@@ -230,6 +301,16 @@ const sendTaskDueReminderEmail = async (data) => {
     
     const displayName = name || email;
     const taskName = task.name;
+    // Snoozed reminders can arrive after the task was due
+    let dueText = 'is due now';
+    let heading = 'Task Due Now';
+    if (offset > 0) {
+      dueText = `is due in ${describeReminderOffset(offset)}`;
+      heading = 'Task Due Soon';
+    } else if (offset < 0) {
+      dueText = `was due ${describeReminderOffset(-offset)} ago`;
+      heading = 'Task Overdue';
+    }
     const dueDate = new Date(task.dueDate);
     const formattedDueDate = dueDate.toLocaleString('en-US', {
       weekday: 'long',
@@ -253,13 +334,13 @@ const sendTaskDueReminderEmail = async (data) => {
     const mailOptions = {
       from: process.env.EMAIL_FROM || '"Life Tracker Team" <no-reply@lifetracker.example.com>',
       to: email,
-      subject: `Due Soon: ${taskName}`,
-      text: `Hi ${displayName},\n\nYour task "${taskName}" is due in 15 minutes (${formattedDueDate}).\n\nThis is a friendly reminder to complete this task on time.\n\nBest regards,\nThe Life Tracker Team`,
+      subject: `${heading.replace('Task ', '')}: ${taskName}`,
+      text: `Hi ${displayName},\n\nYour task "${taskName}" ${dueText} (${formattedDueDate}).\n\nThis is a friendly reminder to complete this task on time.\n\nBest regards,\nThe Life Tracker Team`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #4a6ee0;">Task Due Soon</h2>
+          <h2 style="color: #4a6ee0;">${heading}</h2>
           <p>Hi ${displayName},</p>
-          <p>Your task is due in <strong>15 minutes</strong>:</p>
+          <p>Your task <strong>${dueText}</strong>:</p>
           <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 15px 0;">
             <h3 style="margin-top: 0; color: ${priorityColor};">${taskName}</h3>
             <p><strong>Due:</strong> ${formattedDueDate}</p>
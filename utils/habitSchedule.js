@@ -0,0 +1,373 @@
+const {
+  toDateKey,
+  isValidDateKey,
+  addDays,
+  addMonths,
+  diffInDays,
+  getWeekday,
+  getWeekIndex
+} = require('./dateUtils');
+
+// Simple schedules that can also be given as a plain `frequency` string
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const SCHEDULE_TYPES = [...FREQUENCIES, 'weekdays', 'timesPerWeek', 'interval'];
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+/**
+ * Get the schedule of a habit, falling back to its legacy frequency string
+ * @param {Object} habit - The habit
+ * @returns {Object} The schedule object
+ */
+const getHabitSchedule = (habit) => {
+  if (habit.schedule && SCHEDULE_TYPES.includes(habit.schedule.type)) {
+    return habit.schedule;
+  }
+
+  return { type: FREQUENCIES.includes(habit.frequency) ? habit.frequency : 'daily' };
+};
+
+/**
+ * Validate and normalize a schedule from a request body
+ * @param {Object} schedule - The schedule to validate
+ * @param {Object} options - Normalization options
+ * @param {string} options.today - Day key used as the default interval start
+ * @returns {Object} { schedule } on success or { error } with a message
+ */
+const normalizeSchedule = (schedule, { today = toDateKey() } = {}) => {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return { error: 'Schedule must be an object' };
+  }
+
+  const { type } = schedule;
+
+  switch (type) {
+    case 'daily':
+    case 'weekly':
+    case 'monthly':
+      return { schedule: { type } };
+
+    case 'weekdays': {
+      const { days } = schedule;
+      if (!Array.isArray(days) || days.length === 0) {
+        return { error: 'A weekdays schedule needs a non-empty days array' };
+      }
+
+      const normalizedDays = days.map(day => String(day).toLowerCase().slice(0, 3));
+      if (normalizedDays.some(day => !WEEKDAYS.includes(day))) {
+        return { error: `Schedule days must be weekdays: ${WEEKDAYS.join(', ')}` };
+      }
+
+      // Store each day once, in week order
+      return {
+        schedule: {
+          type,
+          days: WEEKDAYS.filter(day => normalizedDays.includes(day))
+        }
+      };
+    }
+
+    case 'timesPerWeek': {
+      const { times } = schedule;
+      if (!Number.isInteger(times) || times < 1 || times > 7) {
+        return { error: 'A timesPerWeek schedule needs times between 1 and 7' };
+      }
+
+      return { schedule: { type, times } };
+    }
+
+    case 'interval': {
+      const { every, startDate = today } = schedule;
+      if (!Number.isInteger(every) || every < 1 || every > 365) {
+        return { error: 'An interval schedule needs every between 1 and 365 days' };
+      }
+
+      if (!isValidDateKey(startDate)) {
+        return { error: 'Schedule startDate must be a date in YYYY-MM-DD format' };
+      }
+
+      return { schedule: { type, every, startDate } };
+    }
+
+    default:
+      return { error: `Schedule type must be one of: ${SCHEDULE_TYPES.join(', ')}` };
+  }
+};
+
+/**
+ * Check whether two schedules describe the same rule
+ * @param {Object} a - A schedule
+ * @param {Object} b - Another schedule
+ * @returns {boolean} Whether the schedules are equivalent
+ */
+const isSameSchedule = (a, b) => {
+  if (!a || !b || a.type !== b.type) {
+    return false;
+  }
+
+  return (a.days || []).join() === (b.days || []).join()
+    && a.times === b.times
+    && a.every === b.every
+    && a.startDate === b.startDate;
+};
+
+/**
+ * Get the weekday numbers (0 = Monday) of a weekdays schedule
+ * @param {Object} schedule - A weekdays schedule
+ * @returns {Array<number>} Sorted weekday numbers
+ */
+const getScheduledWeekdays = (schedule) => {
+  return schedule.days.map(day => WEEKDAYS.indexOf(day)).sort((a, b) => a - b);
+};
+
+/**
+ * Get the sequential index of the period a day falls into.
+ * Consecutive periods have consecutive indexes, which makes it easy to
+ * detect missed periods.
+ *
+ * - daily / weekly / monthly: the day, Monday-based week or calendar month
+ * - weekdays: the days up to and including the next scheduled weekday
+ * - timesPerWeek: the Monday-based week
+ * - interval: the block of `every` days counted from `startDate`
+ * @param {string} dateKey - The day key (YYYY-MM-DD)
+ * @param {Object} schedule - The habit schedule
+ * @returns {number} The period index
+ */
+const getPeriodIndex = (dateKey, schedule) => {
+  switch (schedule.type) {
+    case 'weekly':
+    case 'timesPerWeek':
+      return getWeekIndex(dateKey);
+    case 'monthly': {
+      const [year, month] = dateKey.split('-').map(Number);
+      return year * 12 + (month - 1);
+    }
+    case 'weekdays': {
+      const scheduledDays = getScheduledWeekdays(schedule);
+      const weekday = getWeekday(dateKey);
+      const nextPosition = scheduledDays.findIndex(day => day >= weekday);
+      const weekIndex = getWeekIndex(dateKey);
+
+      return nextPosition === -1
+        ? (weekIndex + 1) * scheduledDays.length
+        : weekIndex * scheduledDays.length + nextPosition;
+    }
+    case 'interval':
+      return Math.floor(diffInDays(schedule.startDate, dateKey) / schedule.every);
+    default:
+      return diffInDays('1970-01-01', dateKey);
+  }
+};
+
+/**
+ * Get the first and last day of the period a day falls into
+ * @param {string} dateKey - The day key (YYYY-MM-DD)
+ * @param {Object} schedule - The habit schedule
+ * @returns {Object} { start, end } day keys (inclusive)
+ */
+const getPeriodBounds = (dateKey, schedule) => {
+  switch (schedule.type) {
+    case 'weekly':
+    case 'timesPerWeek': {
+      const start = addDays(dateKey, -getWeekday(dateKey));
+      return { start, end: addDays(start, 6) };
+    }
+    case 'monthly': {
+      const start = `${dateKey.slice(0, 7)}-01`;
+      return { start, end: addDays(addMonths(start, 1), -1) };
+    }
+    case 'weekdays': {
+      const scheduledDays = getScheduledWeekdays(schedule);
+      const weekday = getWeekday(dateKey);
+      const nextDay = scheduledDays.find(day => day >= weekday);
+      const end = addDays(dateKey, nextDay === undefined ? scheduledDays[0] + 7 - weekday : nextDay - weekday);
+
+      // The period starts the day after the previous scheduled weekday
+      const endWeekday = getWeekday(end);
+      const position = scheduledDays.indexOf(endWeekday);
+      const previousDay = position > 0 ? scheduledDays[position - 1] : scheduledDays[scheduledDays.length - 1] - 7;
+      return { start: addDays(end, previousDay - endWeekday + 1), end };
+    }
+    case 'interval': {
+      const start = addDays(schedule.startDate, getPeriodIndex(dateKey, schedule) * schedule.every);
+      return { start, end: addDays(start, schedule.every - 1) };
+    }
+    default:
+      return { start: dateKey, end: dateKey };
+  }
+};
+
+/**
+ * Get how many completions (on distinct days) a period needs to count
+ * @param {Object} schedule - The habit schedule
+ * @returns {number} Required completions per period
+ */
+const getRequiredCompletions = (schedule) => {
+  return schedule.type === 'timesPerWeek' ? schedule.times : 1;
+};
+
+/**
+ * Get the range of days in which only one completion can be recorded.
+ * This is the whole period, except for timesPerWeek schedules which allow
+ * one completion per day.
+ * @param {string} dateKey - The day key (YYYY-MM-DD)
+ * @param {Object} schedule - The habit schedule
+ * @returns {Object} { start, end } day keys (inclusive)
+ */
+const getCompletionSlot = (dateKey, schedule) => {
+  return schedule.type === 'timesPerWeek'
+    ? { start: dateKey, end: dateKey }
+    : getPeriodBounds(dateKey, schedule);
+};
+
+/**
+ * Check whether a habit is due on a given day (used for reminders)
+ * @param {string} dateKey - The day key (YYYY-MM-DD)
+ * @param {Object} schedule - The habit schedule
+ * @returns {boolean} Whether the habit is due that day
+ */
+const isScheduledDay = (dateKey, schedule) => {
+  switch (schedule.type) {
+    case 'weekdays':
+      return getScheduledWeekdays(schedule).includes(getWeekday(dateKey));
+    case 'interval': {
+      const offset = diffInDays(schedule.startDate, dateKey);
+      return offset >= 0 && offset % schedule.every === 0;
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Get the first day on or after a given day on which the habit is due
+ * @param {string} dateKey - The day key to start from (YYYY-MM-DD)
+ * @param {Object} schedule - The habit schedule
+ * @returns {string} The day key
+ */
+const getNextScheduledDay = (dateKey, schedule) => {
+  let candidate = dateKey;
+
+  if (schedule.type === 'interval' && candidate < schedule.startDate) {
+    candidate = schedule.startDate;
+  }
+
+  // Weekday and interval schedules repeat within a year, so this always ends
+  while (!isScheduledDay(candidate, schedule)) {
+    candidate = addDays(candidate, 1);
+  }
+
+  return candidate;
+};
+
+/**
+ * Get the day of the reminder following a previous one
+ * @param {string} dateKey - The day key of the previous reminder
+ * @param {Object} schedule - The habit schedule
+ * @returns {string} The day key of the next reminder
+ */
+const getNextReminderDay = (dateKey, schedule) => {
+  switch (schedule.type) {
+    case 'weekly':
+      return addDays(dateKey, 7);
+    case 'monthly':
+      return addMonths(dateKey, 1);
+    default:
+      return getNextScheduledDay(addDays(dateKey, 1), schedule);
+  }
+};
+
+/**
+ * Find the pause of a habit that covers a given day
+ * @param {Object} habit - The habit ({ pausedPeriods })
+ * @param {string} dateKey - The day key (YYYY-MM-DD)
+ * @returns {Object|null} The pause range ({ from, to }), or null if the habit isn't paused that day
+ */
+const getPauseOn = (habit, dateKey) => {
+  const pauses = Array.isArray(habit.pausedPeriods) ? habit.pausedPeriods : [];
+  return pauses.find(({ from, to }) => from <= dateKey && (!to || dateKey <= to)) || null;
+};
+
+/**
+ * Get the first day on or after a given day on which the habit is due and
+ * not paused
+ * @param {string} dateKey - The day key to start from (YYYY-MM-DD)
+ * @param {Object} habit - The habit ({ schedule, pausedPeriods })
+ * @returns {string|null} The day key, or null if the habit is paused indefinitely
+ */
+const getNextActiveDay = (dateKey, habit) => {
+  const schedule = getHabitSchedule(habit);
+  let candidate = getNextScheduledDay(dateKey, schedule);
+  let pause = getPauseOn(habit, candidate);
+
+  while (pause) {
+    if (!pause.to) return null;
+    candidate = getNextScheduledDay(addDays(pause.to, 1), schedule);
+    pause = getPauseOn(habit, candidate);
+  }
+
+  return candidate;
+};
+
+/**
+ * Get the name of the period a streak of this schedule is counted in
+ * @param {Object} schedule - The habit schedule
+ * @returns {string} The singular period name (e.g. "day" or "week")
+ */
+const getPeriodName = (schedule) => {
+  switch (schedule.type) {
+    case 'weekly':
+    case 'timesPerWeek':
+      return 'week';
+    case 'monthly':
+      return 'month';
+    case 'weekdays':
+      return 'scheduled day';
+    case 'interval':
+      return schedule.every === 1 ? 'day' : `${schedule.every}-day period`;
+    default:
+      return 'day';
+  }
+};
+
+/**
+ * Describe a schedule in plain English (e.g. "every Mon, Wed and Fri")
+ * @param {Object} schedule - The habit schedule
+ * @returns {string} The description
+ */
+const describeSchedule = (schedule) => {
+  switch (schedule.type) {
+    case 'weekdays': {
+      const names = schedule.days.map(day => day.charAt(0).toUpperCase() + day.slice(1));
+      const list = names.length > 1
+        ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+        : names[0];
+      return `every ${list}`;
+    }
+    case 'timesPerWeek':
+      return schedule.times === 1 ? 'once a week' : `${schedule.times} times a week`;
+    case 'interval':
+      return schedule.every === 1 ? 'daily' : `every ${schedule.every} days`;
+    default:
+      return schedule.type;
+  }
+};
+
+module.exports = {
+  FREQUENCIES,
+  SCHEDULE_TYPES,
+  WEEKDAYS,
+  getHabitSchedule,
+  normalizeSchedule,
+  isSameSchedule,
+  getPeriodIndex,
+  getPeriodBounds,
+  getRequiredCompletions,
+  getCompletionSlot,
+  isScheduledDay,
+  getNextScheduledDay,
+  getNextReminderDay,
+  getPauseOn,
+  getNextActiveDay,
+  getPeriodName,
+  describeSchedule
+};
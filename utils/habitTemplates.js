@@ -0,0 +1,169 @@
+const { describeSchedule } = require('./habitSchedule');
+
+// Catalogue of ready-made habits users can start from
+const HABIT_TEMPLATES = [
+  {
+    id: 'morning-meditation',
+    name: 'Morning Meditation',
+    description: '10 minutes of mindfulness',
+    category: 'Mindfulness',
+    schedule: { type: 'daily' },
+    reminders: { times: ['07:00'] }
+  },
+  {
+    id: 'drink-water',
+    name: 'Drink Water',
+    description: '8 glasses of water',
+    category: 'Health',
+    schedule: { type: 'daily' },
+    target: 8,
+    unit: 'glasses',
+    reminders: { times: ['10:00', '14:00', '18:00'] }
+  },
+  {
+    id: 'exercise',
+    name: 'Exercise',
+    description: '30 minutes of physical activity',
+    category: 'Fitness',
+    schedule: { type: 'timesPerWeek', times: 3 },
+    reminders: { times: ['18:00'] }
+  },
+  {
+    id: 'stretch',
+    name: 'Stretch',
+    description: '5 minutes of stretching',
+    category: 'Fitness',
+    schedule: { type: 'daily' },
+    reminders: { times: ['07:30'] }
+  },
+  {
+    id: 'walk',
+    name: 'Walk 10,000 Steps',
+    description: 'Get your steps in',
+    category: 'Fitness',
+    schedule: { type: 'daily' },
+    target: 10000,
+    unit: 'steps',
+    reminders: { times: ['17:00'] }
+  },
+  {
+    id: 'make-bed',
+    name: 'Make the Bed',
+    description: 'Start the day with a small win',
+    category: 'Routine',
+    schedule: { type: 'daily' },
+    reminders: { times: ['07:00'] }
+  },
+  {
+    id: 'plan-day',
+    name: 'Plan the Day',
+    description: 'Write down the three most important tasks for today',
+    category: 'Productivity',
+    schedule: { type: 'weekdays', days: ['mon', 'tue', 'wed', 'thu', 'fri'] },
+    reminders: { times: ['08:00'] }
+  },
+  {
+    id: 'read',
+    name: 'Read',
+    description: 'Read 20 pages of a book',
+    category: 'Learning',
+    schedule: { type: 'daily' },
+    target: 20,
+    unit: 'pages',
+    reminders: { times: ['21:00'] }
+  },
+  {
+    id: 'journal',
+    name: 'Journal',
+    description: 'Reflect on the day in a few sentences',
+    category: 'Mindfulness',
+    schedule: { type: 'daily' },
+    reminders: { times: ['21:30'] }
+  },
+  {
+    id: 'screen-free-evening',
+    name: 'No Screens Before Bed',
+    description: 'Put away phone and laptop an hour before sleeping',
+    category: 'Health',
+    schedule: { type: 'daily' },
+    reminders: { times: ['22:00'] }
+  },
+  {
+    id: 'weekly-review',
+    name: 'Weekly Review',
+    description: 'Look back at the week and plan the next one',
+    category: 'Productivity',
+    schedule: { type: 'weekdays', days: ['sun'] },
+    reminders: { times: ['18:00'] }
+  }
+];
+
+// Packs of templates that are added together
+const HABIT_BUNDLES = [
+  {
+    id: 'morning-routine',
+    name: 'Morning Routine',
+    description: 'Start every day calm and focused',
+    templateIds: ['make-bed', 'drink-water', 'morning-meditation', 'plan-day']
+  },
+  {
+    id: 'evening-wind-down',
+    name: 'Evening Wind-Down',
+    description: 'Slow down and sleep better',
+    templateIds: ['read', 'journal', 'screen-free-evening']
+  },
+  {
+    id: 'get-active',
+    name: 'Get Active',
+    description: 'Build a habit of moving every day',
+    templateIds: ['stretch', 'walk', 'exercise']
+  }
+];
+
+/**
+ * Get a habit template by ID
+ * @param {string} templateId - The template ID
+ * @returns {Object|null} The template, or null if there is no such template
+ */
+const getHabitTemplate = (templateId) => {
+  return HABIT_TEMPLATES.find(template => template.id === templateId) || null;
+};
+
+/**
+ * Get a bundle of habit templates by ID
+ * @param {string} bundleId - The bundle ID
+ * @returns {Object|null} The bundle, or null if there is no such bundle
+ */
+const getHabitBundle = (bundleId) => {
+  return HABIT_BUNDLES.find(bundle => bundle.id === bundleId) || null;
+};
+
+/**
+ * Get the template catalogue in the format returned by the API, with the
+ * frequency and a readable description of each schedule
+ * @returns {Object} { templates, bundles }
+ */
+const getTemplateCatalogue = () => {
+  const templates = HABIT_TEMPLATES.map(template => ({
+    ...template,
+    frequency: template.schedule.type,
+    scheduleText: describeSchedule(template.schedule),
+    target: template.target || null,
+    unit: template.unit || ''
+  }));
+
+  const bundles = HABIT_BUNDLES.map(bundle => ({
+    ...bundle,
+    templates: bundle.templateIds.map(templateId => templates.find(template => template.id === templateId))
+  }));
+
+  return { templates, bundles };
+};
+
+module.exports = {
+  HABIT_TEMPLATES,
+  HABIT_BUNDLES,
+  getHabitTemplate,
+  getHabitBundle,
+  getTemplateCatalogue
+};
@@ -0,0 +1,90 @@
+// Gap between neighbouring items when positions are spread out again
+const POSITION_STEP = 1024;
+
+// Smallest gap kept between neighbours before positions are spread out again
+const MIN_POSITION_GAP = 1e-6;
+
+/**
+ * Get the position of an item in its manual order. Items that were never
+ * moved are placed by creation time, which puts new items at the end.
+ * @param {Object} item - The item ({ position, createdAt })
+ * @returns {number} The position
+ */
+const getPosition = (item) => {
+  return typeof item.position === 'number' ? item.position : new Date(item.createdAt).getTime();
+};
+
+/**
+ * Sort items by their manual order, then by creation time
+ * @param {Array<Object>} items - The items ({ id, position, createdAt })
+ * @returns {Array<Object>} A sorted copy of the items
+ */
+const sortByPosition = (items) => {
+  return [...items].sort((a, b) => {
+    return getPosition(a) - getPosition(b)
+      || String(a.createdAt).localeCompare(String(b.createdAt))
+      || a.id.localeCompare(b.id);
+  });
+};
+
+/**
+ * Work out the new position of an item moved next to other items. Only the
+ * moved item gets a new position, halfway between its new neighbours, unless
+ * they are too close together: then all positions are spread out again.
+ * @param {string} id - The ID of the moved item
+ * @param {Object} neighbours - Where to move the item ({ before, after })
+ * @param {string} neighbours.before - ID of the item it should come before
+ * @param {string} neighbours.after - ID of the item it should come after
+ * @param {Array<Object>} items - All items in the list ({ id, position, createdAt })
+ * @returns {Object} { positions } with the new positions keyed by item ID on success or { error } with a message
+ */
+const calculateMove = (id, { before, after }, items) => {
+  if (before === undefined && after === undefined) {
+    return { error: 'Give the ID of the item to move before or after' };
+  }
+
+  if (before === id || after === id) {
+    return { error: 'An item cannot be moved next to itself' };
+  }
+
+  const others = sortByPosition(items.filter(item => item.id !== id));
+  const beforeIndex = before !== undefined ? others.findIndex(item => item.id === before) : -1;
+  const afterIndex = after !== undefined ? others.findIndex(item => item.id === after) : -1;
+
+  if ((before !== undefined && beforeIndex === -1) || (after !== undefined && afterIndex === -1)) {
+    return { error: 'Items to move next to must be in the same list' };
+  }
+
+  if (before !== undefined && after !== undefined && beforeIndex !== afterIndex + 1) {
+    return { error: 'before and after must be next to each other' };
+  }
+
+  // The item goes in between the item at index - 1 and the item at index
+  const index = after !== undefined ? afterIndex + 1 : beforeIndex;
+  const previous = others[index - 1];
+  const next = others[index];
+
+  if (!previous) {
+    return { positions: { [id]: getPosition(next) - POSITION_STEP } };
+  }
+
+  if (!next) {
+    return { positions: { [id]: getPosition(previous) + POSITION_STEP } };
+  }
+
+  const position = (getPosition(previous) + getPosition(next)) / 2;
+  if (position - getPosition(previous) >= MIN_POSITION_GAP && getPosition(next) - position >= MIN_POSITION_GAP) {
+    return { positions: { [id]: position } };
+  }
+
+  const ordered = [...others.slice(0, index), { id }, ...others.slice(index)];
+  return {
+    positions: ordered.reduce((all, item, itemIndex) => ({ ...all, [item.id]: (itemIndex + 1) * POSITION_STEP }), {})
+  };
+};
+
+module.exports = {
+  getPosition,
+  sortByPosition,
+  calculateMove
+};
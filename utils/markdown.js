@@ -0,0 +1,640 @@
+// Link and image URL schemes that are kept; others (javascript:, data:, ...) are dropped
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+// Quotes and lists nested deeper than this are shown as text
+const MAX_NESTING_DEPTH = 20;
+
+// Tabs in indentation advance to the next multiple of this many columns
+const TAB_WIDTH = 4;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const FENCE_REGEX = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)/;
+const HEADING_REGEX = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE_REGEX = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_REGEX = /^ {0,3}> ?/;
+const LIST_ITEM_REGEX = /^ {0,3}([-*+]|\d{1,9}[.)])(?=[ \t]|$)/;
+const CHECKBOX_REGEX = /^\[([ xX])\](?=[ \t]|$)/;
+
+// Only bullets and lists starting at 1 interrupt a paragraph, so a line like
+// "1984. A good year" continues it
+const INTERRUPTING_LIST_ITEM_REGEX = /^ {0,3}(?:[-*+]|1[.)])[ \t]+\S/;
+
+const WORD_CHAR_REGEX = /[\p{L}\p{N}]/u;
+
+// Longest Markdown text that is rendered, which keeps rendering fast
+const MAX_MARKDOWN_LENGTH = 50000;
+
+// The (url "title") after the text of a link or image; URLs may contain balanced parentheses
+const LINK_DESTINATION_REGEX = /\(\s*<?((?:[^\s<>()]|\([^\s<>()]*\))*)>?(?:\s+"((?:[^"\\]|\\.)*)")?\s*\)/y;
+
+/**
+ * Escape text for use in HTML, both as content and in attribute values
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+const escapeHtml = (text) => {
+  return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+};
+
+/**
+ * Check the URL of a link or image
+ * @param {string} url - The URL
+ * @returns {string|null} The URL, or null if it uses a scheme that isn't safe
+ */
+const sanitizeUrl = (url) => {
+  // Browsers ignore whitespace and control characters in a scheme, e.g. "java\tscript:"
+  const scheme = url.replace(/[\u0000- \u007f-\u009f]/g, '').match(/^([^/?#]*?):/);
+  return !scheme || SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase()) ? url : null;
+};
+
+/**
+ * Render a link, or only its label if its URL isn't safe
+ * @param {string} url - The URL
+ * @param {string} label - The label, as HTML
+ * @param {string} title - The title, if any
+ * @returns {string} The HTML
+ */
+const renderLink = (url, label, title) => {
+  const href = sanitizeUrl(url);
+  if (href === null) {
+    return label;
+  }
+
+  return `<a href="${escapeHtml(href)}"${title ? ` title="${escapeHtml(title)}"` : ''}>${label}</a>`;
+};
+
+/**
+ * Render an image, or only its description if its URL isn't safe
+ * @param {string} url - The URL
+ * @param {string} alt - The description
+ * @param {string} title - The title, if any
+ * @returns {string} The HTML
+ */
+const renderImage = (url, alt, title) => {
+  const src = sanitizeUrl(url);
+  if (src === null) {
+    return escapeHtml(alt);
+  }
+
+  return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`;
+};
+
+/**
+ * Remove the backslashes that escape quotes and other punctuation in a link title
+ * @param {string} title - The title, if any
+ * @returns {string|undefined} The title
+ */
+const unescapeTitle = (title) => {
+  return title && title.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+};
+
+/**
+ * Find the matching ] of each [ in a text, in one pass, so that links don't
+ * need to look for their closing bracket again at every [
+ * @param {string} text - The text
+ * @returns {Map<number, number>} The position of the matching ] keyed by the position of each [
+ */
+const matchBrackets = (text) => {
+  const closings = new Map();
+  const openings = [];
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '\\') index++;
+    else if (text[index] === '[') openings.push(index);
+    else if (text[index] === ']' && openings.length > 0) closings.set(openings.pop(), index);
+  }
+  return closings;
+};
+
+/**
+ * Match a link or image: bracketed text followed by its (url "title")
+ * @param {string} text - The text
+ * @param {number} index - Where the link starts
+ * @param {number} labelStart - Where the [ of the link text is
+ * @param {Map<number, number>} closings - The matching brackets of the text
+ * @returns {Array|null} [link, text, url, title] like a regex match, or null if there's no link
+ */
+const matchLink = (text, index, labelStart, closings) => {
+  const labelEnd = closings.get(labelStart);
+  if (labelEnd === undefined) {
+    return null;
+  }
+
+  LINK_DESTINATION_REGEX.lastIndex = labelEnd + 1;
+  const destination = LINK_DESTINATION_REGEX.exec(text);
+  if (!destination) {
+    return null;
+  }
+
+  const end = LINK_DESTINATION_REGEX.lastIndex;
+  return [text.slice(index, end), text.slice(labelStart + 1, labelEnd), destination[1], destination[2]];
+};
+
+/**
+ * Check whether the character before a position is part of a word
+ * @param {string} text - The text
+ * @param {number} index - The position
+ * @returns {boolean} Whether it is
+ */
+const followsWord = (text, index) => {
+  return index > 0 && WORD_CHAR_REGEX.test(text[index - 1]);
+};
+
+// Inline syntax, tried in order at each position of the text. Rules with a
+// `check` only apply where it returns true; `_` emphasis and bare URLs must
+// start a word, so snake_case and "xhttp://" stay as they are. Rules with a
+// `match` function instead of a pattern match links, which can't be nested.
+// Emphasis doesn't span its own delimiter, so that an unclosed one is only
+// looked for up to the next one rather than to the end of the text.
+const INLINE_RULES = [
+  {
+    pattern: /\\([!-/:-@[-`{-~])/y,
+    render: ([, char]) => escapeHtml(char)
+  },
+  {
+    pattern: /(`+)([\s\S]*?[^`])\1(?!`)/y,
+    render: ([, , code]) => `<code>${escapeHtml(code.replace(/^ ([\s\S]*) $/, '$1'))}</code>`
+  },
+  {
+    // A run of backticks without a closing run is plain text
+    pattern: /`+/y,
+    render: ([text]) => text
+  },
+  {
+    pattern: /<((?:https?|mailto):[^\s<>]*)>/iy,
+    render: ([, url]) => renderLink(url, escapeHtml(url))
+  },
+  {
+    match: (text, index, { closings }) => (text.startsWith('![', index) ? matchLink(text, index, index + 1, closings) : null),
+    render: ([, alt, url, title]) => renderImage(url, alt, unescapeTitle(title))
+  },
+  {
+    match: (text, index, { closings, links }) => (links && text[index] === '[' ? matchLink(text, index, index, closings) : null),
+    render: ([, label, url, title], options) => renderLink(url, renderInline(label, { ...options, links: false }), unescapeTitle(title))
+  },
+  {
+    pattern: /https?:\/\/[^\s<]*[^\s<.,:;"')\]*_~!?]/y,
+    check: (text, index) => !followsWord(text, index),
+    render: ([url]) => renderLink(url, escapeHtml(url))
+  },
+  {
+    pattern: /\*\*(?=\S)((?:[^*]|\*(?!\*))*?\S)\*\*/y,
+    render: ([, text], options) => `<strong>${renderInline(text, options)}</strong>`
+  },
+  {
+    pattern: /__(?=\S)((?:[^_]|_(?!_))*?\S)__(?![\p{L}\p{N}])/uy,
+    check: (text, index) => !followsWord(text, index),
+    render: ([, text], options) => `<strong>${renderInline(text, options)}</strong>`
+  },
+  {
+    pattern: /~~(?=\S)((?:[^~]|~(?!~))*?\S)~~/y,
+    render: ([, text], options) => `<del>${renderInline(text, options)}</del>`
+  },
+  {
+    // Strong text may be nested, as in *a **b** c*
+    pattern: /\*(?!\s)((?:\*\*[^*\s](?:[^*]*[^*\s])?\*\*|[^*])+?)(?<!\s)\*(?!\*)/y,
+    render: ([, text], options) => `<em>${renderInline(text, options)}</em>`
+  },
+  {
+    pattern: /_(?=[^\s_])([^_]*?[^\s_])?_(?![\p{L}\p{N}])/uy,
+    check: (text, index) => !followsWord(text, index),
+    render: ([text], options) => `<em>${renderInline(text.slice(1, -1), options)}</em>`
+  },
+  {
+    // Two spaces or a backslash at the end of a line force a line break
+    pattern: /(?: {2,}|\\)\n/y,
+    render: () => '<br>\n'
+  },
+  {
+    // Whole words, so that rules which must start a word aren't tried inside one
+    pattern: /[\p{L}\p{N}]+|[\s\S]/uy,
+    render: ([text]) => escapeHtml(text)
+  }
+];
+
+/**
+ * Render the inline syntax of a paragraph or heading as HTML
+ * @param {string} text - The Markdown text
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.links - Whether links are rendered; they aren't inside links
+ * @returns {string} The HTML
+ */
+const renderInline = (text, { links = true } = {}) => {
+  const state = { closings: matchBrackets(text), links };
+  let html = '';
+  let index = 0;
+
+  while (index < text.length) {
+    for (const { pattern, match: matchRule, check, render } of INLINE_RULES) {
+      if (check && !check(text, index)) {
+        continue;
+      }
+
+      let match;
+      if (matchRule) {
+        match = matchRule(text, index, state);
+      } else {
+        pattern.lastIndex = index;
+        match = pattern.exec(text);
+      }
+
+      if (match) {
+        html += render(match, { links });
+        index += match[0].length;
+        break;
+      }
+    }
+  }
+
+  return html;
+};
+
+/**
+ * Measure the indentation of a line, with tabs advancing to the next tab stop
+ * @param {string} text - The line
+ * @returns {number} The indentation in columns
+ */
+const indentWidth = (text) => {
+  let width = 0;
+  for (const char of text) {
+    if (char === ' ') width++;
+    else if (char === '\t') width += TAB_WIDTH - (width % TAB_WIDTH);
+    else break;
+  }
+  return width;
+};
+
+/**
+ * Take the beginning off a source line, keeping track of where it starts in the note
+ * @param {Object} sourceLine - The line ({ text, line, column })
+ * @param {number} start - The number of characters to take off
+ * @returns {Object} The rest of the line ({ text, line, column })
+ */
+const sliceLine = ({ text, line, column }, start) => {
+  return { text: text.slice(start), line, column: column + start };
+};
+
+/**
+ * Take up to a number of columns of indentation off a source line
+ * @param {Object} sourceLine - The line ({ text, line, column })
+ * @param {number} width - The indentation to take off, in columns
+ * @returns {Object} The rest of the line ({ text, line, column })
+ */
+const dedent = (sourceLine, width) => {
+  let removed = 0;
+  let chars = 0;
+  while (removed < width && (sourceLine.text[chars] === ' ' || sourceLine.text[chars] === '\t')) {
+    removed += sourceLine.text[chars] === '\t' ? TAB_WIDTH - (removed % TAB_WIDTH) : 1;
+    chars++;
+  }
+  return sliceLine(sourceLine, chars);
+};
+
+/**
+ * Check whether a line is blank
+ * @param {Object} sourceLine - The line ({ text })
+ * @returns {boolean} Whether it is blank
+ */
+const isBlank = ({ text }) => {
+  return !text.trim();
+};
+
+/**
+ * Check whether a line starts a block that ends a paragraph
+ * @param {string} text - The line
+ * @returns {boolean} Whether it does
+ */
+const interruptsParagraph = (text) => {
+  return [FENCE_REGEX, HEADING_REGEX, RULE_REGEX, QUOTE_REGEX, INTERRUPTING_LIST_ITEM_REGEX].some(regex => regex.test(text));
+};
+
+/**
+ * Parse a fenced code block (``` or ~~~), which runs until its closing fence
+ * or the end of the text
+ * @param {Array<Object>} lines - The source lines ({ text, line, column })
+ * @param {number} index - The line to start at
+ * @param {Object} context - The parsing context ({ checkboxes, depth })
+ * @returns {Object|null} { block, next } with the block and the line after it, or null
+ */
+const parseFence = (lines, index) => {
+  const match = lines[index].text.match(FENCE_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  const [, fence, language] = match;
+  const closingFence = new RegExp(`^ {0,3}${fence[0]}{${fence.length},}[ \\t]*$`);
+  const indent = indentWidth(lines[index].text);
+  const code = [];
+  let next = index + 1;
+  while (next < lines.length && !closingFence.test(lines[next].text)) {
+    code.push(dedent(lines[next], indent).text);
+    next++;
+  }
+
+  return { block: { type: 'code', language, text: code.join('\n') }, next: next + 1 };
+};
+
+/**
+ * Parse a heading (# to ######)
+ * @param {Array<Object>} lines - The source lines ({ text, line, column })
+ * @param {number} index - The line to start at
+ * @param {Object} context - The parsing context ({ checkboxes, depth })
+ * @returns {Object|null} { block, next } with the block and the line after it, or null
+ */
+const parseHeading = (lines, index) => {
+  const match = lines[index].text.match(HEADING_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  return { block: { type: 'heading', level: match[1].length, text: match[2] || '' }, next: index + 1 };
+};
+
+/**
+ * Parse a horizontal rule (---, *** or ___)
+ * @param {Array<Object>} lines - The source lines ({ text, line, column })
+ * @param {number} index - The line to start at
+ * @param {Object} context - The parsing context ({ checkboxes, depth })
+ * @returns {Object|null} { block, next } with the block and the line after it, or null
+ */
+const parseRule = (lines, index) => {
+  return RULE_REGEX.test(lines[index].text) ? { block: { type: 'rule' }, next: index + 1 } : null;
+};
+
+/**
+ * Parse a block quote: the following lines that start with >
+ * @param {Array<Object>} lines - The source lines ({ text, line, column })
+ * @param {number} index - The line to start at
+ * @param {Object} context - The parsing context ({ checkboxes, depth })
+ * @returns {Object|null} { block, next } with the block and the line after it, or null
+ */
+const parseQuote = (lines, index, context) => {
+  const quoted = [];
+  let next = index;
+  let match;
+  while (next < lines.length && (match = lines[next].text.match(QUOTE_REGEX))) {
+    quoted.push(sliceLine(lines[next], match[0].length));
+    next++;
+  }
+
+  return quoted.length > 0 ? { block: { type: 'quote', children: parseBlocks(quoted, context) }, next } : null;
+};
+
+/**
+ * Parse one item of a list: its first line and the lines indented under it
+ * @param {Array<Object>} lines - The source lines
+ * @param {number} index - The line the item starts on
+ * @param {Array} match - The LIST_ITEM_REGEX match of that line
+ * @param {Object} context - The parsing context ({ checkboxes, depth })
+ * @returns {Object} { item, next } with the item ({ checkbox, children }) and the line after it
+ */
+const parseListItem = (lines, index, match, context) => {
+  const markerEnd = match[0].length;
+  const spacing = lines[index].text.slice(markerEnd).match(/^[ \t]*/)[0];
+  const spacingWidth = indentWidth(spacing);
+
+  // The content is indented to where the first line's text starts; more than
+  // 4 spaces after the marker, or none at all, count as 1
+  const wideSpacing = !lines[index].text.slice(markerEnd + spacing.length) || spacingWidth > 4;
+  const contentWidth = markerEnd + (wideSpacing ? 1 : spacingWidth);
+  const itemLines = [sliceLine(lines[index], wideSpacing ? Math.min(markerEnd + 1, lines[index].text.length) : markerEnd + spacing.length)];
+
+  let next = index + 1;
+  while (next < lines.length) {
+    const { text } = lines[next];
+    if (isBlank(lines[next])) {
+      // Blank lines belong to the item if it goes on after them
+      let after = next;
+      while (after < lines.length && isBlank(lines[after])) after++;
+      if (after === lines.length || indentWidth(lines[after].text) < contentWidth) {
+        break;
+      }
+
+      while (next < after) {
+        itemLines.push({ ...lines[next], text: '' });
+        next++;
+      }
+    } else if (indentWidth(text) >= contentWidth) {
+      itemLines.push(dedent(lines[next], contentWidth));
+      next++;
+    } else if (!isBlank(itemLines[itemLines.length - 1]) && !interruptsParagraph(text) && !LIST_ITEM_REGEX.test(text)) {
+      // A paragraph can go on without being indented
+      itemLines.push(dedent(lines[next], indentWidth(text)));
+      next++;
+    } else {
+      break;
+    }
+  }
+
+  // The checkbox is numbered before the lists nested in the item, in the order of the text
+  let checkbox = null;
+  const checkboxMatch = itemLines[0].text.match(CHECKBOX_REGEX);
+  if (checkboxMatch) {
+    checkbox = {
+      index: context.checkboxes.length,
+      line: itemLines[0].line,
+      column: itemLines[0].column + 1,
+      checked: checkboxMatch[1] !== ' '
+    };
+    context.checkboxes.push(checkbox);
+    const afterCheckbox = itemLines[0].text.slice(checkboxMatch[0].length);
+    itemLines[0] = sliceLine(itemLines[0], checkboxMatch[0].length + afterCheckbox.match(/^[ \t]*/)[0].length);
+  }
+
+  const loose = itemLines.some((line, lineIndex) => isBlank(line) && lineIndex < itemLines.length - 1);
+  return { item: { checkbox, loose, children: parseBlocks(itemLines, context) }, next };
+};
+
+/**
+ * Parse a list: items with the same kind of marker (-, *, + or 1. or 1)),
+ * possibly separated by blank lines
+ * @param {Array<Object>} lines - The source lines ({ text, line, column })
+ * @param {number} index - The line to start at
+ * @param {Object} context - The parsing context ({ checkboxes, depth })
+ * @returns {Object|null} { block, next } with the block and the line after it, or null
+ */
+const parseList = (lines, index, context) => {
+  const first = lines[index].text.match(LIST_ITEM_REGEX);
+  if (!first) {
+    return null;
+  }
+
+  const marker = first[1];
+  const ordered = /\d/.test(marker);
+  const isSameList = (match) => match && match[1].slice(-1) === marker.slice(-1) && /\d/.test(match[1]) === ordered;
+
+  const items = [];
+  let loose = false;
+  let next = index;
+  while (next < lines.length) {
+    const { item, next: itemEnd } = parseListItem(lines, next, lines[next].text.match(LIST_ITEM_REGEX), context);
+    items.push(item);
+    loose = loose || item.loose;
+
+    let after = itemEnd;
+    while (after < lines.length && isBlank(lines[after])) after++;
+    if (after === lines.length || !isSameList(lines[after].text.match(LIST_ITEM_REGEX))) {
+      next = itemEnd;
+      break;
+    }
+
+    loose = loose || after > itemEnd;
+    next = after;
+  }
+
+  return {
+    block: { type: 'list', ordered, start: ordered ? parseInt(marker, 10) : null, loose, items },
+    next
+  };
+};
+
+/**
+ * Parse a paragraph: the following lines up to a blank line or another block
+ * @param {Array<Object>} lines - The source lines ({ text, line, column })
+ * @param {number} index - The line to start at
+ * @returns {Object} { block, next } with the block and the line after it
+ */
+const parseParagraph = (lines, index) => {
+  const text = [lines[index].text];
+  let next = index + 1;
+  while (next < lines.length && !isBlank(lines[next]) && !interruptsParagraph(lines[next].text)) {
+    text.push(lines[next].text);
+    next++;
+  }
+
+  return { block: { type: 'paragraph', text: text.map(line => line.replace(/^[ \t]+/, '')).join('\n').trimEnd() }, next };
+};
+
+// Block parsers, tried in order at the start of each block; lines that don't
+// start any of these blocks start a paragraph. Each returns the block and the
+// line after it, or null if the line doesn't start its kind of block.
+const BLOCK_PARSERS = [parseFence, parseHeading, parseRule, parseQuote, parseList];
+const LEAF_BLOCK_PARSERS = [parseFence, parseHeading, parseRule];
+
+/**
+ * Parse source lines into blocks
+ * @param {Array<Object>} lines - The lines ({ text, line, column }), where `line` and
+ *   `column` are where the text starts in the note
+ * @param {Object} context - The parsing context ({ checkboxes, depth })
+ * @returns {Array<Object>} The blocks ({ type, ... })
+ */
+const parseBlocks = (lines, context) => {
+  const parsers = context.depth < MAX_NESTING_DEPTH ? BLOCK_PARSERS : LEAF_BLOCK_PARSERS;
+  const blocks = [];
+  let index = 0;
+  context.depth++;
+
+  while (index < lines.length) {
+    if (isBlank(lines[index])) {
+      index++;
+      continue;
+    }
+
+    let parsed = null;
+    for (const parse of parsers) {
+      parsed = parse(lines, index, context);
+      if (parsed) break;
+    }
+
+    const { block, next } = parsed || parseParagraph(lines, index);
+    blocks.push(block);
+    index = next;
+  }
+
+  context.depth--;
+  return blocks;
+};
+
+/**
+ * Parse Markdown text
+ * @param {string} text - The Markdown text
+ * @returns {Object} { blocks, checkboxes }
+ */
+const parseMarkdown = (text) => {
+  const context = { checkboxes: [], depth: 0 };
+  const lines = (text || '').split('\n').map((line, index) => ({ text: line.replace(/\r$/, ''), line: index, column: 0 }));
+  return { blocks: parseBlocks(lines, context), checkboxes: context.checkboxes };
+};
+
+/**
+ * Render blocks as HTML
+ * @param {Array<Object>} blocks - The blocks
+ * @param {boolean} tight - Whether paragraphs are shown without <p>, as in tight list items
+ * @returns {string} The HTML
+ */
+const renderBlocks = (blocks, tight = false) => {
+  return blocks.map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${renderInline(block.text)}</h${block.level}>`;
+      case 'code': {
+        const language = /^[\w+#.-]+$/.test(block.language) ? ` class="language-${escapeHtml(block.language)}"` : '';
+        return `<pre><code${language}>${escapeHtml(block.text)}</code></pre>`;
+      }
+      case 'rule':
+        return '<hr>';
+      case 'quote':
+        return `<blockquote>\n${renderBlocks(block.children)}\n</blockquote>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+        const items = block.items.map(({ checkbox, children }) => {
+          const input = checkbox
+            ? `<input type="checkbox" data-checkbox="${checkbox.index}"${checkbox.checked ? ' checked' : ''}> `
+            : '';
+          return `<li${checkbox ? ' class="task-list-item"' : ''}>${input}${renderBlocks(children, !block.loose)}</li>`;
+        });
+        return `<${tag}${start}>\n${items.join('\n')}\n</${tag}>`;
+      }
+      default:
+        return tight ? renderInline(block.text) : `<p>${renderInline(block.text)}</p>`;
+    }
+  }).join('\n');
+};
+
+/**
+ * Render Markdown as HTML. The output is safe to show as is: HTML in the text
+ * is escaped rather than passed through, and links and images with unsafe
+ * URLs (e.g. javascript:) are shown as text. Supports headings, paragraphs,
+ * emphasis, strikethrough, code, links, images, block quotes, rules, lists
+ * and task list checkboxes (- [ ] and - [x]), which are numbered in order
+ * with a data-checkbox attribute.
+ * @param {string} text - The Markdown text
+ * @returns {string} The HTML
+ */
+const renderMarkdown = (text) => {
+  return renderBlocks(parseMarkdown(text).blocks);
+};
+
+/**
+ * Find the task list checkboxes in Markdown text, numbered as in renderMarkdown
+ * @param {string} text - The Markdown text
+ * @returns {Array<Object>} The checkboxes ({ index, line, column, checked }), where `line`
+ *   and `column` are the position of the x or space between the brackets
+ */
+const findCheckboxes = (text) => {
+  return parseMarkdown(text).checkboxes;
+};
+
+/**
+ * Check or uncheck a checkbox in Markdown text
+ * @param {string} text - The Markdown text
+ * @param {Object} checkbox - The checkbox, as found by findCheckboxes
+ * @param {boolean} checked - Whether it should be checked
+ * @returns {string} The new text
+ */
+const setCheckbox = (text, { line, column }, checked) => {
+  const lines = text.split('\n');
+  lines[line] = `${lines[line].slice(0, column)}${checked ? 'x' : ' '}${lines[line].slice(column + 1)}`;
+  return lines.join('\n');
+};
+
+module.exports = {
+  MAX_MARKDOWN_LENGTH,
+  escapeHtml,
+  sanitizeUrl,
+  renderMarkdown,
+  findCheckboxes,
+  setCheckbox
+};
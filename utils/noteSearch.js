@@ -0,0 +1,148 @@
+// Longest indexed term; longer words are indexed by their beginning
+const MAX_TERM_LENGTH = 40;
+
+// Snippets show about this many characters around the first match
+const SNIPPET_LENGTH = 160;
+
+// A match in the title counts as much as this many matches in the content
+const TITLE_WEIGHT = 5;
+
+// Content matches beyond this number don't make a note more relevant
+const MAX_CONTENT_MATCHES = 10;
+
+// A term that only matches the beginning of a word counts for less
+const PREFIX_WEIGHT = 0.5;
+
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+const WORD_CHAR_REGEX = /[\p{L}\p{N}]/u;
+
+/**
+ * Fold text for searching: lower case without accents, so "Café" matches "cafe"
+ * @param {string} text - The text to fold
+ * @returns {string} The folded text
+ */
+const foldText = (text) => {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+};
+
+/**
+ * Split text into folded search terms
+ * @param {string} text - The text to split
+ * @returns {Array<string>} The terms, in order and with repeats
+ */
+const tokenize = (text) => {
+  return (foldText(text || '').match(WORD_REGEX) || []).map(term => term.slice(0, MAX_TERM_LENGTH));
+};
+
+/**
+ * Build the search index entries of a note: how often each term occurs in
+ * its title and content
+ * @param {Object} note - The note ({ title, content })
+ * @returns {Object} Counts ({ title, content }) keyed by term
+ */
+const buildNoteTerms = (note) => {
+  const terms = {};
+  ['title', 'content'].forEach(field => {
+    tokenize(note[field]).forEach(term => {
+      if (!terms[term]) terms[term] = {};
+      terms[term][field] = (terms[term][field] || 0) + 1;
+    });
+  });
+  return terms;
+};
+
+/**
+ * Score how well a note matches a search. Every query term must match a
+ * term of the note, either exactly or as the beginning of a word.
+ * @param {Array<string>} queryTerms - The folded query terms
+ * @param {Array<Map<string, Object>>} matches - For each query term, the counts
+ *   ({ title, content }) of the note's terms it matches, keyed by term
+ * @returns {number} The score, or 0 if the note doesn't match every term
+ */
+const scoreNote = (queryTerms, matches) => {
+  let score = 0;
+
+  for (let index = 0; index < queryTerms.length; index++) {
+    let best = 0;
+    matches[index].forEach((counts, term) => {
+      const weight = term === queryTerms[index] ? 1 : PREFIX_WEIGHT;
+      const value = weight * ((counts.title ? TITLE_WEIGHT : 0) + Math.min(counts.content || 0, MAX_CONTENT_MATCHES));
+      best = Math.max(best, value);
+    });
+
+    if (best === 0) {
+      return 0;
+    }
+    score += best;
+  }
+
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Find the words of a text that start with one of the query terms,
+ * ignoring case and accents
+ * @param {string} text - The text to search
+ * @param {Array<string>} queryTerms - The folded query terms
+ * @returns {Array<Object>} Ranges ({ start, end }) of the matching words in the text
+ */
+const findMatches = (text, queryTerms) => {
+  // Fold character by character to map positions in the folded text back to the original
+  let folded = '';
+  const offsets = [];
+  for (let index = 0; index < text.length;) {
+    const char = String.fromCodePoint(text.codePointAt(index));
+    const foldedChar = foldText(char);
+    folded += foldedChar;
+    for (let unit = 0; unit < foldedChar.length; unit++) offsets.push(index);
+    index += char.length;
+  }
+  offsets.push(text.length);
+
+  const ranges = [];
+  let word;
+  WORD_REGEX.lastIndex = 0;
+  while ((word = WORD_REGEX.exec(folded)) !== null) {
+    if (queryTerms.some(term => word[0].startsWith(term))) {
+      ranges.push({ start: offsets[word.index], end: offsets[word.index + word[0].length] });
+    }
+  }
+
+  return ranges;
+};
+
+/**
+ * Build a snippet of a text around its first match, with the positions of
+ * the matching words in the snippet
+ * @param {string} text - The text
+ * @param {Array<string>} queryTerms - The folded query terms
+ * @returns {Object} { text, highlights } with highlight ranges ({ start, end }) in the snippet
+ */
+const buildSnippet = (text, queryTerms) => {
+  const source = text || '';
+  const matches = findMatches(source, queryTerms);
+
+  let start = matches.length > 0 ? Math.max(0, matches[0].start - Math.floor(SNIPPET_LENGTH / 3)) : 0;
+  let end = Math.min(source.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  // Don't cut words in half
+  while (start > 0 && WORD_CHAR_REGEX.test(source[start - 1])) start--;
+  while (end < source.length && WORD_CHAR_REGEX.test(source[end])) end++;
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < source.length ? '…' : '';
+  const snippet = `${prefix}${source.slice(start, end).replace(/\s+/g, ' ').trim()}${suffix}`;
+
+  // Collapsing whitespace moves the matches, so find them again in the snippet
+  return { text: snippet, highlights: findMatches(snippet, queryTerms) };
+};
+
+module.exports = {
+  foldText,
+  tokenize,
+  buildNoteTerms,
+  scoreNote,
+  findMatches,
+  buildSnippet
+};
@@ -0,0 +1,116 @@
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+const TAG_REGEX = /^[\p{L}\p{N}_-]+$/u;
+
+// #hashtags that start a word, so "# Heading" and "page#anchor" don't count
+const HASHTAG_REGEX = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+
+// Ways a list of tags can be matched
+const TAG_MATCH_MODES = ['any', 'all'];
+
+/**
+ * Normalize a tag: trimmed, lower case and without a leading #
+ * @param {string} tag - The tag
+ * @returns {string|null} The normalized tag, or null if it isn't a valid tag
+ */
+const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+
+  const normalized = tag.trim().replace(/^#/, '').toLowerCase();
+  return TAG_REGEX.test(normalized) && normalized.length <= MAX_TAG_LENGTH ? normalized : null;
+};
+
+/**
+ * Validate and normalize the tags of a note from a request body
+ * @param {Array<string>} tags - The tags
+ * @returns {Object} { tags } without duplicates on success or { error } with a message
+ */
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    return { error: 'Tags must be a list of strings' };
+  }
+
+  const normalized = [];
+  for (const tag of tags) {
+    const normalizedTag = normalizeTag(tag);
+    if (!normalizedTag) {
+      return { error: `Tags must be at most ${MAX_TAG_LENGTH} letters, digits, dashes and underscores` };
+    }
+    if (!normalized.includes(normalizedTag)) normalized.push(normalizedTag);
+  }
+
+  if (normalized.length > MAX_TAGS) {
+    return { error: `A note can have at most ${MAX_TAGS} tags` };
+  }
+
+  return { tags: normalized };
+};
+
+/**
+ * Get the #hashtags used in a text, as tags
+ * @param {string} text - The text
+ * @returns {Array<string>} The normalized tags, without duplicates
+ */
+const extractHashtags = (text) => {
+  const tags = [];
+  for (const [, , hashtag] of (text || '').matchAll(HASHTAG_REGEX)) {
+    const tag = normalizeTag(hashtag);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  }
+  return tags;
+};
+
+/**
+ * Check whether a note has any or all of a list of tags
+ * @param {Object} note - The note ({ tags })
+ * @param {Array<string>} tags - Normalized tags
+ * @param {string} mode - 'any' or 'all'
+ * @returns {boolean} Whether the note matches
+ */
+const hasTags = (note, tags, mode) => {
+  const check = tag => note.tags.includes(tag);
+  return mode === 'all' ? tags.every(check) : tags.some(check);
+};
+
+/**
+ * Count how many notes use each tag
+ * @param {Array<Object>} notes - The notes ({ tags })
+ * @returns {Array<Object>} [{ tag, count }], most used first
+ */
+const countTags = (notes) => {
+  const counts = new Map();
+  notes.forEach(note => {
+    note.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Replace tags in a list of tags, keeping their place. Replacing a tag with
+ * one that is already in the list merges the two.
+ * @param {Array<string>} tags - The tags of a note
+ * @param {Array<string>} from - The tags to replace
+ * @param {string} to - The tag to replace them with
+ * @returns {Array<string>} The new tags, without duplicates
+ */
+const replaceTags = (tags, from, to) => {
+  return tags
+    .map(tag => (from.includes(tag) ? to : tag))
+    .filter((tag, index, all) => all.indexOf(tag) === index);
+};
+
+module.exports = {
+  MAX_TAGS,
+  TAG_MATCH_MODES,
+  normalizeTag,
+  normalizeTags,
+  extractHashtags,
+  hasTags,
+  countTags,
+  replaceTags
+};
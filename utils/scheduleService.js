@@ -1,5 +1,17 @@
 const admin = require('firebase-admin');
 const { sendHabitReminderEmail, sendTaskDueReminderEmail } = require('./emailService');
+const { DEFAULT_TIMEZONE, toDateKey, addDays, zonedTimeToDate } = require('./dateUtils');
+const { getHabitSchedule, getNextReminderDay, getNextActiveDay } = require('./habitSchedule');
+const { DEFAULT_SETTINGS, getUserTimeZone, getUserSettings } = require('../models/userModel');
+
+// Time of day (in the user's timezone) at which habit reminders are sent by default
+const DEFAULT_HABIT_REMINDER_TIME = '09:00';
+
+// Longest task reminder offset (60 days, in minutes)
+const MAX_TASK_REMINDER_OFFSET = 60 * 24 * 60;
+
+// Longest delay setTimeout supports (about 24.8 days); longer waits are split up
+const MAX_TIMER_DELAY = 2147483647;
 
 // In-memory job store for development purposes
 // In production, you would use a persistent store like Firebase Realtime Database
@@ -31,6 +43,13 @@ const scheduleJob = (jobId, executeAt, callback, data) => {
     timerId: null
   };
   
+  // Wait in steps until the job is close enough to be scheduled directly
+  if (delay > MAX_TIMER_DELAY) {
+    jobInfo.timerId = setTimeout(() => scheduleJob(jobId, executeAt, callback, data), MAX_TIMER_DELAY);
+    scheduledJobs.set(jobId, jobInfo);
+    return jobId;
+  }
+  
   // Schedule the job execution
   const timerId = setTimeout(async () => {
     try {
@@ -58,31 +77,84 @@ const scheduleJob = (jobId, executeAt, callback, data) => {
 };
 
 /**
- * Schedule the next recurrence of a job based on frequency
- * @param {Object} data - Job data with frequency information
+ * Get the reminder settings of a habit, filled in with defaults
+ * @param {Object} habit - Habit data
+ * @returns {Object} { enabled, times } where times are HH:mm strings
+ */
+const getHabitReminders = (habit) => {
+  const reminders = habit.reminders || {};
+  
+  return {
+    enabled: reminders.enabled !== false,
+    times: Array.isArray(reminders.times) && reminders.times.length > 0
+      ? reminders.times
+      : [DEFAULT_HABIT_REMINDER_TIME]
+  };
+};
+
+/**
+ * Get the due date reminder settings of a task, falling back to the user's
+ * default for tasks without their own
+ * @param {Object} task - Task data
+ * @param {Object} defaults - The user's default task reminders ({ enabled, offsets })
+ * @returns {Object} { enabled, offsets } where offsets are minutes before the due date, earliest reminder first
+ */
+const getTaskReminders = (task, defaults) => {
+  const reminders = task.reminders || defaults;
+  
+  return {
+    enabled: reminders.enabled !== false,
+    offsets: Array.isArray(reminders.offsets) ? [...reminders.offsets].sort((a, b) => b - a) : []
+  };
+};
+
+/**
+ * Validate task reminder settings from a request body
+ * (e.g. { "enabled": true, "offsets": [1440, 60] } for 1 day and 1 hour before).
+ * Missing fields are taken from the current settings.
+ * @param {Object} reminders - The reminder settings to validate
+ * @param {Object} current - The current reminder settings
+ * @returns {Object} { reminders } on success or { error } with a message
+ */
+const normalizeTaskReminders = (reminders, current) => {
+  if (!reminders || typeof reminders !== 'object' || Array.isArray(reminders)) {
+    return { error: 'Reminders must be an object' };
+  }
+  
+  const { enabled = current.enabled, offsets = current.offsets } = reminders;
+  
+  if (typeof enabled !== 'boolean') {
+    return { error: 'Reminders enabled must be a boolean' };
+  }
+  
+  if (!Array.isArray(offsets) || offsets.length === 0 || offsets.length > 10) {
+    return { error: 'Reminder offsets must be a list of 1 to 10 offsets' };
+  }
+  
+  if (!offsets.every(offset => Number.isInteger(offset) && offset >= 0 && offset <= MAX_TASK_REMINDER_OFFSET)) {
+    return { error: `Reminder offsets must be whole numbers of minutes between 0 and ${MAX_TASK_REMINDER_OFFSET}` };
+  }
+  
+  return { reminders: { enabled, offsets: [...new Set(offsets)].sort((a, b) => b - a) } };
+};
+
+/**
+ * Schedule the next recurrence of a habit reminder based on the habit schedule
+ * @param {Object} data - Job data with schedule information
  */
 const scheduleNextRecurrence = (data) => {
-  const { userId, habitId, frequency, email, name } = data;
-  const now = new Date();
-  let nextExecutionDate = new Date();
+  const { userId, habitId, schedule, pausedPeriods, reminderDate, reminderTime, timeZone, email, name } = data;
   
-  // Calculate next execution date based on frequency
-  switch (frequency) {
-    case 'daily':
-      nextExecutionDate.setDate(now.getDate() + 1);
-      break;
-    case 'weekly':
-      nextExecutionDate.setDate(now.getDate() + 7);
-      break;
-    case 'monthly':
-      nextExecutionDate.setMonth(now.getMonth() + 1);
-      break;
-    default:
-      nextExecutionDate.setDate(now.getDate() + 1);
-    }
-    
-    // Default to daily at 9:00 AM
-    nextExecutionDate.setHours(9, 0, 0, 0); 
+  // Calculate the next reminder day from the one that just fired, skipping
+  // paused days, at the same wall-clock time in the user's timezone
+  // (so DST changes are followed)
+  const nextReminderDate = getNextActiveDay(getNextReminderDay(reminderDate, schedule), { schedule, pausedPeriods });
+  if (!nextReminderDate) {
+    console.log(`Habit ${habitId} is paused indefinitely. No further reminders scheduled.`);
+    return;
+  }
+  
+  const nextExecutionDate = zonedTimeToDate(nextReminderDate, reminderTime, timeZone);
   
   // Create a unique ID for the reminder job
   const reminderJobId = `reminder_${habitId}_${nextExecutionDate.getTime()}`;
@@ -92,7 +164,7 @@ const scheduleNextRecurrence = (data) => {
     reminderJobId,
     nextExecutionDate,
     sendHabitReminderEmail,
-    { userId, habitId, frequency, email, name, recurring: true }
+    { userId, habitId, schedule, pausedPeriods, reminderDate: nextReminderDate, reminderTime, timeZone, email, name, recurring: true }
   );
 };
 
@@ -139,71 +211,172 @@ const cancelAllJobsForTask = (taskId) => {
 };
 
 /**
- * Schedule reminders for a habit
+ * Schedule reminders for a habit, one recurring job per reminder time
  * @param {string} habitId - ID of the habit
  * @param {Object} habit - Habit data
  * @param {string} userId - User ID
  * @param {string} email - User's email
  * @param {string} name - User's name (optional)
+ * @param {string} timeZone - User's timezone (defaults to UTC)
  */
-const scheduleHabitReminder = (habitId, habit, userId, email, name) => {
-  // Schedule first reminder
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  tomorrow.setHours(9, 0, 0, 0); // 9:00 AM tomorrow
+const scheduleHabitReminder = (habitId, habit, userId, email, name, timeZone = DEFAULT_TIMEZONE) => {
+  const reminders = getHabitReminders(habit);
+  if (!reminders.enabled || habit.archived) {
+    console.log(`Reminders are turned off or habit ${habitId} is archived. No reminder scheduled.`);
+    return;
+  }
   
-  const reminderJobId = `reminder_${habitId}_${tomorrow.getTime()}`;
+  const schedule = getHabitSchedule(habit);
+  const pausedPeriods = habit.pausedPeriods || [];
+  const now = new Date();
+  const today = toDateKey(now, timeZone);
   
-  scheduleJob(
-    reminderJobId,
-    tomorrow,
-    sendHabitReminderEmail,
-    { userId, habitId, habit, frequency: habit.frequency, email, name, recurring: true }
-  );
+  reminders.times.forEach(reminderTime => {
+    // Schedule the first reminder on the first active day whose reminder time is still ahead
+    let reminderDate = getNextActiveDay(today, habit);
+    if (reminderDate && zonedTimeToDate(reminderDate, reminderTime, timeZone) <= now) {
+      reminderDate = getNextActiveDay(addDays(reminderDate, 1), habit);
+    }
+    
+    if (!reminderDate) {
+      console.log(`Habit ${habitId} is paused indefinitely. No reminder scheduled.`);
+      return;
+    }
+    
+    const executeAt = zonedTimeToDate(reminderDate, reminderTime, timeZone);
+    
+    const reminderJobId = `reminder_${habitId}_${executeAt.getTime()}`;
+    
+    scheduleJob(
+      reminderJobId,
+      executeAt,
+      sendHabitReminderEmail,
+      { userId, habitId, habit, schedule, pausedPeriods, reminderDate, reminderTime, timeZone, email, name, recurring: true }
+    );
+  });
   
-  console.log(`Scheduled recurring reminders for habit ${habitId} (${habit.name})`);
+  console.log(`Scheduled recurring reminders for habit ${habitId} (${habit.name}) at ${reminders.times.join(', ')} ${timeZone}`);
 };
 
 /**
- * Schedule a due date reminder for a task 15 minutes before it's due
+ * Replace the scheduled reminders of a habit, e.g. after its schedule,
+ * reminder times or the user's timezone changed
+ * @param {string} habitId - ID of the habit
+ * @param {Object} habit - Habit data
+ * @param {string} userId - User ID
+ */
+const rescheduleHabitReminders = async (habitId, habit, userId) => {
+  cancelAllJobsForHabit(habitId);
+  
+  try {
+    const userRecord = await admin.auth().getUser(userId);
+    const userEmail = userRecord.email;
+    const userName = userRecord.displayName || '';
+    
+    if (userEmail) {
+      const timeZone = await getUserTimeZone(userId);
+      scheduleHabitReminder(habitId, habit, userId, userEmail, userName, timeZone);
+    }
+  } catch (error) {
+    console.error(`Error rescheduling reminders for habit ${habitId}:`, error);
+    // Continue even if reminder scheduling fails
+  }
+};
+
+/**
+ * Schedule the due date reminders of a task, one job per reminder offset
+ * whose time is still ahead. While a task is snoozed, reminders before the
+ * end of the snooze are replaced by one reminder when it ends.
  * @param {string} taskId - ID of the task
  * @param {Object} task - Task data
  * @param {string} userId - User ID
  * @param {string} email - User's email
  * @param {string} name - User's name (optional)
+ * @param {Object} defaults - The user's default task reminders
+ * @returns {Array<string>} IDs of the scheduled jobs
  */
-const scheduleTaskDueReminder = (taskId, task, userId, email, name) => {
+const scheduleTaskDueReminder = (taskId, task, userId, email, name, defaults = DEFAULT_SETTINGS.taskReminders) => {
   // Only schedule if the task has a due date and isn't already completed
   if (!task.dueDate || task.completed) {
     console.log(`Task ${taskId} has no due date or is already completed. No reminder scheduled.`);
-    return null;
+    return [];
   }
   
-  // Calculate time 15 minutes before due date
   const dueDate = new Date(task.dueDate);
-  const reminderTime = new Date(dueDate.getTime() - (15 * 60 * 1000)); // 15 minutes before
-  
-  // If the reminder time is in the past, don't schedule
-  console.log(task);
   const now = new Date();
-  if (reminderTime <= now) {
-    console.log(`Task ${taskId} due date is less than 15 minutes away or in the past. No reminder scheduled.`);
-    return null;
+  const snoozedUntil = task.snoozedUntil && new Date(task.snoozedUntil) > now ? new Date(task.snoozedUntil) : null;
+  const jobIds = [];
+  
+  if (snoozedUntil) {
+    const reminderJobId = `task_snooze_${taskId}_${snoozedUntil.getTime()}`;
+    
+    scheduleJob(
+      reminderJobId,
+      snoozedUntil,
+      sendTaskDueReminderEmail,
+      { userId, taskId, email, name, offset: Math.round((dueDate - snoozedUntil) / (60 * 1000)), recurring: false }
+    );
+    jobIds.push(reminderJobId);
   }
   
-  // Create a unique ID for the task reminder
-  const reminderJobId = `task_due_${taskId}_${reminderTime.getTime()}`;
+  const reminders = getTaskReminders(task, defaults);
+  if (!reminders.enabled) {
+    console.log(`Reminders are turned off for task ${taskId}. No due date reminder scheduled.`);
+    return jobIds;
+  }
   
-  // Schedule the reminder
-  scheduleJob(
-    reminderJobId,
-    reminderTime,
-    sendTaskDueReminderEmail,
-    { userId, taskId, email, name, recurring: false }
-  );
+  reminders.offsets.forEach(offset => {
+    const reminderTime = new Date(dueDate.getTime() - offset * 60 * 1000);
+    
+    // Reminders whose time has passed, or that fall within a snooze, are not sent
+    if (reminderTime <= now || (snoozedUntil && reminderTime <= snoozedUntil)) {
+      return;
+    }
+    
+    // Create a unique ID for the task reminder
+    const reminderJobId = `task_due_${taskId}_${offset}_${reminderTime.getTime()}`;
+    
+    scheduleJob(
+      reminderJobId,
+      reminderTime,
+      sendTaskDueReminderEmail,
+      { userId, taskId, email, name, offset, recurring: false }
+    );
+    jobIds.push(reminderJobId);
+  });
+  
+  if (jobIds.length === 0) {
+    console.log(`All reminder times of task ${taskId} have passed. No reminder scheduled.`);
+  } else {
+    console.log(`Scheduled ${jobIds.length} reminder(s) for task ${taskId} (${task.name})${snoozedUntil ? `, snoozed until ${snoozedUntil.toISOString()}` : ''}`);
+  }
+  
+  return jobIds;
+};
+
+/**
+ * Replace the due date reminders of a task, e.g. after it was created, its due
+ * date or reminders changed or it was marked as not completed again
+ * @param {string} taskId - ID of the task
+ * @param {Object} task - Task data
+ * @param {string} userId - User ID
+ */
+const rescheduleTaskDueReminder = async (taskId, task, userId) => {
+  cancelAllJobsForTask(taskId);
   
-  console.log(`Scheduled due date reminder for task ${taskId} (${task.name}) at ${reminderTime}`);
-  return reminderJobId;
+  try {
+    const userRecord = await admin.auth().getUser(userId);
+    const userEmail = userRecord.email;
+    const userName = userRecord.displayName || '';
+    
+    if (userEmail) {
+      const settings = await getUserSettings(userId);
+      scheduleTaskDueReminder(taskId, task, userId, userEmail, userName, settings.taskReminders);
+    }
+  } catch (error) {
+    console.error(`Error rescheduling due date reminder for task ${taskId}:`, error);
+    // Continue even if reminder scheduling fails
+  }
 };
 
 /**
@@ -232,12 +405,9 @@ const initializeScheduler = async () => {
       // Skip if task has no due date or is already completed
       if (!task.dueDate || task.completed) continue;
       
-      const dueDate = new Date(task.dueDate);
-      const reminderTime = new Date(dueDate.getTime() - (15 * 60 * 1000)); // 15 minutes before
-      
-      // Only schedule if the reminder time is in the future
+      // Skip if the task is already past due, unless a snoozed reminder is still to come
       const now = new Date();
-      if (reminderTime <= now) continue;
+      if (new Date(task.dueDate) <= now && !(task.snoozedUntil && new Date(task.snoozedUntil) > now)) continue;
       
       try {
         // Get user email to send notification
@@ -246,15 +416,17 @@ const initializeScheduler = async () => {
         const userName = userRecord.displayName || '';
         
         if (userEmail) {
-          // Schedule the reminder
-          scheduleTaskDueReminder(
+          // Schedule the reminders with the user's defaults for tasks without their own
+          const settings = await getUserSettings(task.userId);
+          const jobIds = scheduleTaskDueReminder(
             taskId, 
             { id: taskId, ...task }, 
             task.userId, 
             userEmail, 
-            userName
+            userName,
+            settings.taskReminders
           );
-          taskScheduledCount++;
+          if (jobIds.length > 0) taskScheduledCount++;
         }
       } catch (error) {
         console.error(`Error scheduling reminder for task ${taskId}:`, error);
@@ -275,6 +447,9 @@ const initializeScheduler = async () => {
     for (const [habitId, habit] of Object.entries(habits)) {
       habitCount++;
       
+      // Archived habits don't get reminders
+      if (habit.archived) continue;
+      
       try {
         // Get user email to send notification
         const userRecord = await admin.auth().getUser(habit.userId);
@@ -282,13 +457,15 @@ const initializeScheduler = async () => {
         const userName = userRecord.displayName || '';
         
         if (userEmail) {
-          // Schedule the recurring habit reminder
+          // Schedule the recurring habit reminder in the user's timezone
+          const timeZone = await getUserTimeZone(habit.userId);
           scheduleHabitReminder(
             habitId,
             { id: habitId, ...habit },
             habit.userId,
             userEmail,
-            userName
+            userName,
+            timeZone
           );
           habitScheduledCount++;
         }
@@ -306,8 +483,13 @@ const initializeScheduler = async () => {
 module.exports = {
   scheduleJob,
   cancelJob,
+  getHabitReminders,
+  getTaskReminders,
+  normalizeTaskReminders,
   scheduleHabitReminder,
+  rescheduleHabitReminders,
   scheduleTaskDueReminder,
+  rescheduleTaskDueReminder,
   cancelAllJobsForHabit,
   cancelAllJobsForTask,
   initializeScheduler
@@ -0,0 +1,369 @@
+const { toDateKey, addDays, getWeekday } = require('./dateUtils');
+const { WEEKDAYS, getHabitSchedule, getPeriodIndex } = require('./habitSchedule');
+const { getCompletedPeriods, getExcusedPeriods, calculateStreakStats } = require('./streakService');
+
+const DEFAULT_WINDOWS = [7, 30, 90];
+const DEFAULT_HEATMAP_DAYS = 365;
+
+// Periods task completions can be counted per
+const TASK_STATS_PERIODS = ['day', 'week'];
+
+// Order of the priority breakdown in task statistics
+const TASK_PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Round a ratio to 4 decimal places
+ * @param {number} value - The ratio
+ * @returns {number} The rounded ratio
+ */
+const roundRate = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Calculate the share of scheduled periods in which a habit was completed.
+ * The current period and excused periods only count once they have been
+ * completed, so an unfinished day or a paused week doesn't lower the rate.
+ * @param {Array} completions - Completion entries ({ date })
+ * @param {Object} schedule - The habit schedule
+ * @param {Object} range - The range of days to look at
+ * @param {string} range.from - First day (YYYY-MM-DD)
+ * @param {string} range.to - Last day, usually today (YYYY-MM-DD)
+ * @param {Set<number>} excused - Excused period indexes
+ * @returns {Object} { completed, scheduled, rate }
+ */
+const calculateCompletionRate = (completions, schedule, { from, to }, excused = new Set()) => {
+  const periods = new Set();
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    periods.add(getPeriodIndex(day, schedule));
+  }
+
+  const completedPeriods = new Set(getCompletedPeriods(completions, schedule));
+  const currentPeriod = getPeriodIndex(to, schedule);
+  [currentPeriod, ...excused].forEach(period => {
+    if (!completedPeriods.has(period)) periods.delete(period);
+  });
+
+  const completed = [...periods].filter(period => completedPeriods.has(period)).length;
+  const scheduled = periods.size;
+
+  return {
+    completed,
+    scheduled,
+    rate: scheduled > 0 ? roundRate(completed / scheduled) : 0
+  };
+};
+
+/**
+ * Find the day of the week with the most completions
+ * @param {Object} completionsByWeekday - Completion counts keyed by weekday
+ * @returns {string|null} The best weekday (ties go to the earliest day), or null without completions
+ */
+const getBestWeekday = (completionsByWeekday) => {
+  return WEEKDAYS.reduce((best, day) => {
+    const count = completionsByWeekday[day];
+    return count > 0 && (!best || count > completionsByWeekday[best]) ? day : best;
+  }, null);
+};
+
+/**
+ * Count completions per day of the week and find the best one
+ * @param {Array} completions - Completion entries ({ date })
+ * @returns {Object} { bestWeekday, completionsByWeekday }
+ */
+const calculateWeekdayStats = (completions) => {
+  const completionsByWeekday = WEEKDAYS.reduce((counts, day) => ({ ...counts, [day]: 0 }), {});
+
+  completions.forEach(entry => {
+    completionsByWeekday[WEEKDAYS[getWeekday(entry.date)]]++;
+  });
+
+  return { bestWeekday: getBestWeekday(completionsByWeekday), completionsByWeekday };
+};
+
+/**
+ * Count entries per day
+ * @param {Array} entries - Entries with a date ({ date })
+ * @returns {Map<string, number>} Counts keyed by day
+ */
+const countByDate = (entries) => {
+  const counts = new Map();
+  entries.forEach(entry => {
+    counts.set(entry.date, (counts.get(entry.date) || 0) + 1);
+  });
+  return counts;
+};
+
+/**
+ * Build a per-day array of completion counts, oldest day first
+ * (suitable for a GitHub-style contribution grid)
+ * @param {Array} completions - Completion entries ({ date })
+ * @param {Array} excuses - Skip and freeze entries ({ date })
+ * @param {Object} range - The range of days to include
+ * @param {string} range.from - First day (YYYY-MM-DD)
+ * @param {string} range.to - Last day (YYYY-MM-DD)
+ * @returns {Array<Object>} [{ date, count, excused }]
+ */
+const buildHeatmap = (completions, excuses, { from, to }) => {
+  const counts = countByDate(completions);
+  const excusedCounts = countByDate(excuses);
+
+  const heatmap = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    heatmap.push({ date: day, count: counts.get(day) || 0, excused: excusedCounts.get(day) || 0 });
+  }
+
+  return heatmap;
+};
+
+/**
+ * Calculate statistics for a single habit from its completion history
+ * @param {Object} habit - The habit
+ * @param {Array} completions - Completion entries of the habit
+ * @param {Object} options - Calculation options
+ * @param {Array<number>} options.windows - Window sizes in days for completion rates
+ * @param {number} options.heatmapDays - Number of days in the heatmap
+ * @param {Array} options.excuses - Skip and freeze entries of the habit ({ date, type })
+ * @param {number} options.freezes - Streak freezes the user has left
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {string} options.timeZone - Timezone in which days are counted (defaults to UTC)
+ * @returns {Object} The habit statistics
+ */
+const calculateHabitStats = (habit, completions, { windows = DEFAULT_WINDOWS, heatmapDays = DEFAULT_HEATMAP_DAYS, excuses = [], freezes = 0, now = new Date(), timeZone } = {}) => {
+  const schedule = getHabitSchedule(habit);
+  const today = toDateKey(now, timeZone);
+  const createdDate = habit.createdAt ? toDateKey(habit.createdAt, timeZone) : today;
+
+  // Days before the habit existed don't count as missed, unless it was backfilled
+  const firstDate = completions.reduce((first, entry) => entry.date < first ? entry.date : first, createdDate);
+
+  const excused = getExcusedPeriods(habit.pausedPeriods, schedule, today, excuses.map(entry => entry.date));
+  const completionRates = windows.map(days => {
+    const windowStart = addDays(today, -(days - 1));
+    const from = windowStart > firstDate ? windowStart : firstDate;
+    return { days, ...calculateCompletionRate(completions, schedule, { from, to: today }, excused) };
+  });
+
+  const { streak, longestStreak } = calculateStreakStats(completions, {
+    schedule,
+    pausedPeriods: habit.pausedPeriods,
+    excuses,
+    freezes,
+    resetAt: habit.streakResetAt,
+    now,
+    timeZone
+  });
+
+  return {
+    habitId: habit.id,
+    name: habit.name,
+    category: habit.category || 'General',
+    schedule,
+    totalCompletions: completions.length,
+    totalSkips: excuses.filter(entry => entry.type === 'skip').length,
+    totalFreezes: excuses.filter(entry => entry.type === 'freeze').length,
+    streak,
+    longestStreak,
+    completionRates,
+    ...calculateWeekdayStats(completions),
+    heatmap: buildHeatmap(completions, excuses, { from: addDays(today, -(heatmapDays - 1)), to: today })
+  };
+};
+
+/**
+ * Group habit statistics by category, with combined figures per category
+ * @param {Array<Object>} habitStats - Results of calculateHabitStats
+ * @returns {Array<Object>} One entry per category, sorted by name
+ */
+const groupStatsByCategory = (habitStats) => {
+  const groups = new Map();
+  habitStats.forEach(stats => {
+    if (!groups.has(stats.category)) groups.set(stats.category, []);
+    groups.get(stats.category).push(stats);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([category, habits]) => {
+      // Combine rates by adding up the periods of every habit in the category
+      const completionRates = habits[0].completionRates.map(({ days }, index) => {
+        const completed = habits.reduce((total, stats) => total + stats.completionRates[index].completed, 0);
+        const scheduled = habits.reduce((total, stats) => total + stats.completionRates[index].scheduled, 0);
+        return { days, completed, scheduled, rate: scheduled > 0 ? roundRate(completed / scheduled) : 0 };
+      });
+
+      const heatmap = habits[0].heatmap.map(({ date }, index) => ({
+        date,
+        count: habits.reduce((total, stats) => total + stats.heatmap[index].count, 0),
+        excused: habits.reduce((total, stats) => total + stats.heatmap[index].excused, 0)
+      }));
+
+      const completionsByWeekday = WEEKDAYS.reduce((counts, day) => ({
+        ...counts,
+        [day]: habits.reduce((total, stats) => total + stats.completionsByWeekday[day], 0)
+      }), {});
+
+      return {
+        category,
+        habitCount: habits.length,
+        totalCompletions: habits.reduce((total, stats) => total + stats.totalCompletions, 0),
+        totalSkips: habits.reduce((total, stats) => total + stats.totalSkips, 0),
+        totalFreezes: habits.reduce((total, stats) => total + stats.totalFreezes, 0),
+        longestStreak: Math.max(...habits.map(stats => stats.longestStreak)),
+        completionRates,
+        bestWeekday: getBestWeekday(completionsByWeekday),
+        completionsByWeekday,
+        heatmap,
+        habits
+      };
+    });
+};
+
+/**
+ * Add up tracked time by category and by day. Each time entry counts
+ * towards the day it was started on in the user's timezone.
+ * @param {Array} entries - Time entries ({ taskId, startedAt, duration })
+ * @param {Map<string, Object>} tasksById - The user's tasks keyed by ID
+ * @param {Object} range - The range of days to report on
+ * @param {string} range.from - First day (YYYY-MM-DD)
+ * @param {string} range.to - Last day (YYYY-MM-DD)
+ * @param {string} timeZone - The user's timezone
+ * @returns {Object} { from, to, totalSeconds, categories, days }
+ */
+const calculateTimeReport = (entries, tasksById, { from, to }, timeZone) => {
+  const days = new Map();
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days.set(day, { date: day, totalSeconds: 0, categories: {} });
+  }
+
+  const categories = new Map();
+  let totalSeconds = 0;
+
+  entries.forEach(entry => {
+    const day = days.get(toDateKey(entry.startedAt, timeZone));
+    if (!day) return;
+
+    const task = tasksById.get(entry.taskId);
+    const category = task ? task.category || '' : '';
+
+    if (!categories.has(category)) categories.set(category, { category, totalSeconds: 0, entryCount: 0, taskIds: new Set() });
+    const group = categories.get(category);
+    group.totalSeconds += entry.duration;
+    group.entryCount++;
+    group.taskIds.add(entry.taskId);
+
+    day.totalSeconds += entry.duration;
+    day.categories[category] = (day.categories[category] || 0) + entry.duration;
+    totalSeconds += entry.duration;
+  });
+
+  return {
+    from,
+    to,
+    totalSeconds,
+    // Categories with the most tracked time first
+    categories: [...categories.values()]
+      .sort((a, b) => b.totalSeconds - a.totalSeconds || a.category.localeCompare(b.category))
+      .map(({ taskIds, ...group }) => ({ ...group, taskCount: taskIds.size })),
+    days: [...days.values()]
+  };
+};
+
+/**
+ * Summarize a group of completed tasks: how many were done on time (by the
+ * end of the day they were due in the user's timezone) and how long they
+ * took from creation to completion on average
+ * @param {Array<Object>} tasks - Completed tasks ({ dueDate, createdAt, completedAt })
+ * @param {string} timeZone - The user's timezone
+ * @returns {Object} { completed, onTime, late, onTimeRate, averageLeadTimeSeconds }
+ */
+const summarizeTaskCompletions = (tasks, timeZone) => {
+  const withDueDate = tasks.filter(task => task.dueDate);
+  const onTime = withDueDate.filter(task => toDateKey(task.completedAt, timeZone) <= toDateKey(task.dueDate, timeZone)).length;
+  const leadTimes = tasks
+    .filter(task => task.createdAt)
+    .map(task => Math.max(0, new Date(task.completedAt) - new Date(task.createdAt)));
+
+  return {
+    completed: tasks.length,
+    onTime,
+    late: withDueDate.length - onTime,
+    onTimeRate: withDueDate.length > 0 ? roundRate(onTime / withDueDate.length) : null,
+    averageLeadTimeSeconds: leadTimes.length > 0
+      ? Math.round(leadTimes.reduce((total, ms) => total + ms, 0) / leadTimes.length / 1000)
+      : null
+  };
+};
+
+/**
+ * Calculate completion statistics of tasks completed in a range of days:
+ * completions per day or week, the share completed on time and the average
+ * lead time, overall and by category and priority. Tasks completed before
+ * completion times were recorded are left out.
+ * @param {Array} tasks - The user's tasks ({ category, priority, dueDate, createdAt, completed, completedAt })
+ * @param {Object} options - Statistics options
+ * @param {string} options.from - First day (YYYY-MM-DD)
+ * @param {string} options.to - Last day (YYYY-MM-DD)
+ * @param {string} options.period - Count completions per 'day' or per 'week' (starting on Monday)
+ * @param {Array} options.postponements - The user's task postponements ({ type, createdAt })
+ * @param {string} timeZone - The user's timezone
+ * @returns {Object} { from, to, period, ...summary, completions, categories, priorities, postponements }
+ */
+const calculateTaskStats = (tasks, { from, to, period = 'day', postponements = [] }, timeZone) => {
+  const inRange = (date) => {
+    const day = toDateKey(date, timeZone);
+    return day >= from && day <= to;
+  };
+  const getPeriodStart = (day) => (period === 'week' ? addDays(day, -getWeekday(day)) : day);
+
+  const completedTasks = tasks.filter(task => task.completed && task.completedAt && inRange(task.completedAt));
+
+  const completions = new Map();
+  for (let day = getPeriodStart(from); day <= to; day = addDays(day, period === 'week' ? 7 : 1)) {
+    completions.set(day, { date: day, count: 0 });
+  }
+  completedTasks.forEach(task => {
+    completions.get(getPeriodStart(toDateKey(task.completedAt, timeZone))).count++;
+  });
+
+  const groupBy = (getKey) => {
+    const groups = new Map();
+    completedTasks.forEach(task => {
+      const key = getKey(task);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(task);
+    });
+    return groups;
+  };
+  const priorityIndex = (priority) => (TASK_PRIORITIES.includes(priority) ? TASK_PRIORITIES.indexOf(priority) : TASK_PRIORITIES.length);
+
+  const postponementsInRange = postponements.filter(postponement => inRange(postponement.createdAt));
+
+  return {
+    from,
+    to,
+    period,
+    ...summarizeTaskCompletions(completedTasks, timeZone),
+    completions: [...completions.values()],
+    // Categories with the most completed tasks first
+    categories: [...groupBy(task => task.category || '').entries()]
+      .map(([category, group]) => ({ category, ...summarizeTaskCompletions(group, timeZone) }))
+      .sort((a, b) => b.completed - a.completed || a.category.localeCompare(b.category)),
+    priorities: [...groupBy(task => task.priority || 'medium').entries()]
+      .map(([priority, group]) => ({ priority, ...summarizeTaskCompletions(group, timeZone) }))
+      .sort((a, b) => priorityIndex(a.priority) - priorityIndex(b.priority)),
+    postponements: {
+      snoozes: postponementsInRange.filter(postponement => postponement.type === 'snooze').length,
+      defers: postponementsInRange.filter(postponement => postponement.type === 'defer').length
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_WINDOWS,
+  DEFAULT_HEATMAP_DAYS,
+  TASK_STATS_PERIODS,
+  calculateCompletionRate,
+  calculateHabitStats,
+  groupStatsByCategory,
+  calculateTimeReport,
+  calculateTaskStats
+};
@@ -0,0 +1,230 @@
+const { toDateKey, addDays } = require('./dateUtils');
+const { getHabitSchedule, getPeriodIndex, getRequiredCompletions } = require('./habitSchedule');
+
+/**
+ * Get the sorted list of periods in which a habit was completed often enough
+ * to count (once, or on `times` distinct days for timesPerWeek schedules)
+ * @param {Array} completions - Completion entries ({ date, completedAt })
+ * @param {Object} schedule - The habit schedule
+ * @returns {Array<number>} Sorted period indexes
+ */
+const getCompletedPeriods = (completions, schedule) => {
+  const daysByPeriod = new Map();
+
+  completions.forEach(entry => {
+    const period = getPeriodIndex(entry.date, schedule);
+    if (!daysByPeriod.has(period)) daysByPeriod.set(period, new Set());
+    daysByPeriod.get(period).add(entry.date);
+  });
+
+  const required = getRequiredCompletions(schedule);
+  return [...daysByPeriod.entries()]
+    .filter(([, days]) => days.size >= required)
+    .map(([period]) => period)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Get the periods excused by pauses, skips and streak freezes, up to a given
+ * day. A period counts as excused if the habit was paused on any of its days
+ * or one of its days was excused.
+ * @param {Array} pausedPeriods - Pause ranges ({ from, to }), `to` may be missing for open-ended pauses
+ * @param {Object} schedule - The habit schedule
+ * @param {string} until - Last day to take into account (usually today)
+ * @param {Array<string>} excusedDates - Days marked as skipped or covered by a streak freeze
+ * @returns {Set<number>} Excused period indexes
+ */
+const getExcusedPeriods = (pausedPeriods, schedule, until, excusedDates = []) => {
+  const excused = new Set();
+
+  (pausedPeriods || []).forEach(({ from, to }) => {
+    const last = !to || to > until ? until : to;
+    for (let day = from; day <= last; day = addDays(day, 1)) {
+      excused.add(getPeriodIndex(day, schedule));
+    }
+  });
+
+  (excusedDates || []).forEach(date => {
+    if (date <= until) excused.add(getPeriodIndex(date, schedule));
+  });
+
+  return excused;
+};
+
+/**
+ * Find the longest run of completed periods. Excused periods neither add to
+ * nor break a run, and neither does the current period while it is in progress.
+ * @param {Set<number>} completed - Completed period indexes
+ * @param {Set<number>} excused - Excused period indexes
+ * @param {number} currentPeriod - Index of the current period
+ * @returns {number} Length of the longest run
+ */
+const getLongestRun = (completed, excused, currentPeriod) => {
+  if (completed.size === 0) {
+    return 0;
+  }
+
+  let longest = 0;
+  let run = 0;
+  const lastPeriod = Math.max(currentPeriod, ...completed);
+
+  for (let period = Math.min(...completed); period <= lastPeriod; period++) {
+    if (completed.has(period)) {
+      run++;
+      longest = Math.max(longest, run);
+    } else if (!excused.has(period) && period !== currentPeriod) {
+      run = 0;
+    }
+  }
+
+  return longest;
+};
+
+/**
+ * Count the run of completed periods ending in the current period (or the
+ * previous one, if the current period hasn't been completed yet). A missed
+ * period breaks the run; excused periods are skipped over. Periods missed
+ * since the run ended can be bridged by the available streak freezes.
+ * @param {Set<number>} completed - Completed period indexes
+ * @param {Set<number>} excused - Excused period indexes
+ * @param {number} currentPeriod - Index of the current period
+ * @param {number} freezes - Number of streak freezes available
+ * @returns {number} Length of the current run
+ */
+const getCurrentRun = (completed, excused, currentPeriod, freezes = 0) => {
+  if (completed.size === 0) {
+    return 0;
+  }
+
+  let run = 0;
+  let freezesLeft = freezes;
+  const firstPeriod = Math.min(...completed);
+
+  for (let period = currentPeriod; period >= firstPeriod; period--) {
+    if (completed.has(period)) {
+      run++;
+    } else if (excused.has(period) || period === currentPeriod) {
+      continue;
+    } else if (run === 0 && freezesLeft > 0) {
+      freezesLeft--;
+    } else {
+      break;
+    }
+  }
+
+  return run;
+};
+
+/**
+ * Derive streak information for a habit from its completion history.
+ * Streaks count consecutive periods of the habit schedule; extra completions
+ * within a period don't add to the streak.
+ * @param {Array} completions - Completion entries ({ date, completedAt })
+ * @param {Object} options - Calculation options
+ * @param {Object} options.schedule - The habit schedule (defaults to daily)
+ * @param {Array} options.pausedPeriods - Pause ranges whose periods don't break a streak
+ * @param {Array} options.excuses - Skip and freeze entries ({ date }) whose periods don't break a streak
+ * @param {number} options.freezes - Streak freezes available to bridge periods missed since the last completion
+ * @param {string} options.resetAt - Completions recorded before this timestamp don't count towards the current streak
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {string} options.timeZone - Timezone in which days are counted (defaults to UTC)
+ * @returns {Object} { streak, longestStreak, lastCompletedAt, lastCountedDate, excusedDates }
+ */
+const calculateStreakStats = (completions, { schedule = { type: 'daily' }, pausedPeriods = [], excuses = [], freezes = 0, resetAt = null, now = new Date(), timeZone } = {}) => {
+  const today = toDateKey(now, timeZone);
+  const currentPeriod = getPeriodIndex(today, schedule);
+  const excusedDates = excuses.map(entry => entry.date);
+  const excused = getExcusedPeriods(pausedPeriods, schedule, today, excusedDates);
+
+  // The most recent completion is the one for the latest day
+  const lastCompletion = completions.reduce((latest, entry) => {
+    if (!latest) return entry;
+    const isLater = entry.date > latest.date || (entry.date === latest.date && entry.completedAt > latest.completedAt);
+    return isLater ? entry : latest;
+  }, null);
+
+  const activeCompletions = resetAt
+    ? completions.filter(entry => entry.completedAt > resetAt)
+    : completions;
+
+  const activePeriods = getCompletedPeriods(activeCompletions, schedule);
+  const streak = getCurrentRun(new Set(activePeriods), excused, currentPeriod, freezes);
+  const longestStreak = getLongestRun(new Set(getCompletedPeriods(completions, schedule)), excused, currentPeriod);
+
+  // Remember a day of the last counted period so the streak can expire later
+  const lastCountedPeriod = activePeriods[activePeriods.length - 1];
+  const lastCountedDate = activeCompletions.reduce((latest, entry) => {
+    const counts = getPeriodIndex(entry.date, schedule) === lastCountedPeriod;
+    return counts && (!latest || entry.date > latest) ? entry.date : latest;
+  }, null);
+
+  return {
+    streak,
+    longestStreak,
+    lastCompletedAt: lastCompletion ? lastCompletion.completedAt : null,
+    lastCountedDate,
+    // Excused days after the last counted period keep the streak alive later on
+    excusedDates: lastCountedDate
+      ? excusedDates.filter(date => getPeriodIndex(date, schedule) > lastCountedPeriod).sort()
+      : []
+  };
+};
+
+/**
+ * Get the periods a habit has missed since its last counted period, not
+ * counting excused periods or the current one
+ * @param {Object} habit - The habit ({ lastCountedDate, schedule, pausedPeriods, excusedDates })
+ * @param {Object} options - Calculation options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {string} options.timeZone - Timezone in which days are counted (defaults to UTC)
+ * @returns {Array<Object>} [{ period, date }] where date is the last day of the missed period
+ */
+const getMissedPeriods = (habit, { now = new Date(), timeZone } = {}) => {
+  const lastDate = habit.lastCountedDate || (habit.lastCompletedAt && toDateKey(habit.lastCompletedAt));
+  if (!lastDate) {
+    return [];
+  }
+
+  const schedule = getHabitSchedule(habit);
+  const today = toDateKey(now, timeZone);
+  const currentPeriod = getPeriodIndex(today, schedule);
+  const lastPeriod = getPeriodIndex(lastDate, schedule);
+  const excused = getExcusedPeriods(habit.pausedPeriods, schedule, today, habit.excusedDates);
+
+  const missed = new Map();
+  for (let day = addDays(lastDate, 1); getPeriodIndex(day, schedule) < currentPeriod; day = addDays(day, 1)) {
+    const period = getPeriodIndex(day, schedule);
+    if (period !== lastPeriod && !excused.has(period)) missed.set(period, day);
+  }
+
+  return [...missed.entries()].map(([period, date]) => ({ period, date }));
+};
+
+/**
+ * Get the current streak of a habit from its stored streak fields.
+ * The stored streak is only recalculated when the history changes, so a
+ * streak expires once more periods after the last counted one have been
+ * missed than there are streak freezes to cover them.
+ * @param {Object} habit - The habit ({ streak, lastCountedDate, schedule, pausedPeriods, excusedDates })
+ * @param {Object} options - Calculation options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {string} options.timeZone - Timezone in which days are counted (defaults to UTC)
+ * @param {number} options.freezes - Number of streak freezes available
+ * @returns {number} The current streak
+ */
+const getCurrentStreak = (habit, { now = new Date(), timeZone, freezes = 0 } = {}) => {
+  if (!habit.streak || !(habit.lastCountedDate || habit.lastCompletedAt)) {
+    return 0;
+  }
+
+  const missed = getMissedPeriods(habit, { now, timeZone });
+  return missed.length > freezes ? 0 : habit.streak;
+};
+
+module.exports = {
+  getCompletedPeriods,
+  getExcusedPeriods,
+  calculateStreakStats,
+  getMissedPeriods,
+  getCurrentStreak
+};
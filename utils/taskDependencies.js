@@ -0,0 +1,97 @@
+/**
+ * Get the IDs of the tasks a task is blocked by
+ * @param {Object} task - The task ({ blockedBy })
+ * @returns {Array<string>} Blocker task IDs
+ */
+const getBlockerIds = (task) => {
+  return task && Array.isArray(task.blockedBy) ? task.blockedBy : [];
+};
+
+/**
+ * Get the open tasks a task is directly blocked by. Blockers that no longer
+ * exist don't block anything.
+ * @param {Object} task - The task ({ blockedBy })
+ * @param {Map<string, Object>} tasksById - The user's tasks keyed by ID
+ * @returns {Array<Object>} The open blocker tasks
+ */
+const getOpenBlockers = (task, tasksById) => {
+  return getBlockerIds(task)
+    .map(blockerId => tasksById.get(blockerId))
+    .filter(blocker => blocker && !blocker.completed);
+};
+
+/**
+ * Walk the dependency graph from a task, breadth first
+ * @param {string} taskId - The task to start from
+ * @param {Function} getNeighbours - Returns the IDs of the next tasks for a task ID
+ * @returns {Array<Object>} [{ id, depth }] of every reachable task, nearest first
+ */
+const walkGraph = (taskId, getNeighbours) => {
+  const depths = new Map([[taskId, 0]]);
+  const queue = [taskId];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    getNeighbours(current).forEach(nextId => {
+      if (!depths.has(nextId)) {
+        depths.set(nextId, depths.get(current) + 1);
+        queue.push(nextId);
+      }
+    });
+  }
+
+  depths.delete(taskId);
+  return [...depths.entries()].map(([id, depth]) => ({ id, depth }));
+};
+
+/**
+ * Get every task a task depends on, directly or through other tasks
+ * @param {string} taskId - The task ID
+ * @param {Map<string, Object>} tasksById - The user's tasks keyed by ID
+ * @returns {Array<Object>} [{ id, depth }], depth 1 being the direct blockers
+ */
+const getUpstream = (taskId, tasksById) => {
+  return walkGraph(taskId, id => getBlockerIds(tasksById.get(id)).filter(blockerId => tasksById.has(blockerId)));
+};
+
+/**
+ * Get every task that depends on a task, directly or through other tasks
+ * @param {string} taskId - The task ID
+ * @param {Map<string, Object>} tasksById - The user's tasks keyed by ID
+ * @returns {Array<Object>} [{ id, depth }], depth 1 being the directly blocked tasks
+ */
+const getDownstream = (taskId, tasksById) => {
+  const blocking = new Map();
+  tasksById.forEach((task, id) => {
+    getBlockerIds(task).forEach(blockerId => {
+      if (!blocking.has(blockerId)) blocking.set(blockerId, []);
+      blocking.get(blockerId).push(id);
+    });
+  });
+
+  return walkGraph(taskId, id => blocking.get(id) || []);
+};
+
+/**
+ * Check whether making a task blocked by another one would create a cycle,
+ * which is the case when the blocker already depends on the task
+ * @param {string} taskId - The task that would be blocked
+ * @param {string} blockerId - The task that would block it
+ * @param {Map<string, Object>} tasksById - The user's tasks keyed by ID
+ * @returns {boolean} Whether the dependency would create a cycle
+ */
+const wouldCreateCycle = (taskId, blockerId, tasksById) => {
+  if (taskId === blockerId) {
+    return true;
+  }
+
+  return getUpstream(blockerId, tasksById).some(({ id }) => id === taskId);
+};
+
+module.exports = {
+  getBlockerIds,
+  getOpenBlockers,
+  getUpstream,
+  getDownstream,
+  wouldCreateCycle
+};
@@ -0,0 +1,272 @@
+const { toDateKey, zonedTimeToDate, isValidDateKey, addDays, addMonths, getWeekday } = require('./dateUtils');
+const { WEEKDAYS } = require('./habitSchedule');
+
+// Time of day (in the user's timezone) for dates given without a time
+const DEFAULT_DUE_TIME = '09:00';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const RECURRENCE_UNITS = { day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+
+// "in N days" and the like reach at most about 10 years ahead
+const MAX_RELATIVE_AMOUNTS = { day: 3650, week: 520, month: 120 };
+
+// Weekdays are only recognized by their full name, so words like "sat" or "sun" stay in the name
+const WEEKDAY = '(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)';
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*';
+const ORDINAL = '(?:st|nd|rd|th)?';
+
+/**
+ * Build a pattern that matches a whole phrase, surrounded by spaces or the
+ * ends of the text
+ * @param {string} body - The pattern of the phrase
+ * @returns {RegExp} The case-insensitive pattern
+ */
+const phrase = (body) => {
+  return new RegExp(`(^|\\s)(?:${body})(?=\\s|$)`, 'i');
+};
+
+/**
+ * Get the weekday key (e.g. 'mon') of a weekday name
+ * @param {string} name - The weekday name (e.g. "Monday")
+ * @returns {string} The weekday key
+ */
+const toWeekday = (name) => {
+  return name.slice(0, 3).toLowerCase();
+};
+
+/**
+ * Get the first day on or after a day that falls on one of the given weekdays
+ * @param {string} from - The day to start from (YYYY-MM-DD)
+ * @param {Array<string>} days - Weekday keys (e.g. ['mon', 'fri'])
+ * @returns {string} The day key
+ */
+const nextWeekday = (from, days) => {
+  const offsets = days.map(day => (WEEKDAYS.indexOf(day) - getWeekday(from) + 7) % 7);
+  return addDays(from, Math.min(...offsets));
+};
+
+/**
+ * Get the next occurrence of a day of the year, this year or the next
+ * @param {string} today - Today (YYYY-MM-DD)
+ * @param {string} monthName - The month name or abbreviation
+ * @param {string} day - The day of the month
+ * @returns {string|null} The day key, or null if there's no such day
+ */
+const nextDayOfYear = (today, monthName, day) => {
+  const month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()) + 1;
+  const dateKey = `${today.slice(0, 4)}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  if (!isValidDateKey(dateKey)) {
+    return null;
+  }
+
+  return dateKey < today ? addMonths(dateKey, 12) : dateKey;
+};
+
+/**
+ * Convert a time of day on a 12-hour clock to a time key
+ * @param {string} hours - The hours (1-12)
+ * @param {string} minutes - The minutes, if given
+ * @param {string} period - "am" or "pm"
+ * @returns {string|null} The time (HH:mm), or null if it isn't a valid time
+ */
+const toTime = (hours, minutes = '00', period) => {
+  const hour = Number(hours);
+  if (hour < 1 || hour > 12 || Number(minutes) > 59) {
+    return null;
+  }
+
+  const hour24 = (hour % 12) + (period.toLowerCase() === 'pm' ? 12 : 0);
+  return `${String(hour24).padStart(2, '0')}:${minutes}`;
+};
+
+// Phrases that can be recognized, each at most once. Recurrences come first so
+// "every monday" isn't read as a due date. Each resolver returns the fields
+// the phrase sets, or null if the phrase doesn't make sense after all.
+const RULES = [
+  {
+    type: 'recurrence',
+    pattern: phrase('every\\s+(other\\s+|\\d+\\s+)?(day|week|month|year)s?'),
+    resolve: ([, , every, unit]) => {
+      const interval = !every ? 1 : every.trim().toLowerCase() === 'other' ? 2 : Number(every);
+      return { recurrence: { type: RECURRENCE_UNITS[unit.toLowerCase()], interval } };
+    }
+  },
+  {
+    type: 'recurrence',
+    pattern: phrase('daily|weekly|monthly|yearly'),
+    resolve: ([text]) => ({ recurrence: { type: text.trim().toLowerCase(), interval: 1 } })
+  },
+  {
+    type: 'recurrence',
+    pattern: phrase('every\\s+weekday'),
+    resolve: () => ({ recurrence: { type: 'weekly', interval: 1, days: WEEKDAYS.slice(0, 5) } })
+  },
+  {
+    type: 'recurrence',
+    pattern: phrase(`every\\s+(${WEEKDAY}(?:\\s*(?:,|and)\\s*${WEEKDAY})*)`),
+    resolve: ([, , days]) => {
+      const weekdays = days.toLowerCase().match(new RegExp(WEEKDAY, 'g')).map(toWeekday);
+      return { recurrence: { type: 'weekly', interval: 1, days: WEEKDAYS.filter(day => weekdays.includes(day)) } };
+    }
+  },
+  {
+    type: 'date',
+    pattern: phrase('today|tomorrow'),
+    resolve: ([text], { today }) => ({ date: text.trim().toLowerCase() === 'today' ? today : addDays(today, 1) })
+  },
+  {
+    type: 'date',
+    pattern: phrase('in\\s+(\\d+)\\s+(day|week|month)s?'),
+    resolve: ([, , count, unit], { today }) => {
+      const amount = Number(count);
+      const unitKey = unit.toLowerCase();
+      if (amount > MAX_RELATIVE_AMOUNTS[unitKey]) return null;
+      if (unitKey === 'month') return { date: addMonths(today, amount) };
+      return { date: addDays(today, unitKey === 'week' ? amount * 7 : amount) };
+    }
+  },
+  {
+    type: 'date',
+    pattern: phrase(`(?:on\\s+)?(next\\s+)?(${WEEKDAY})`),
+    resolve: ([, , next, name], { today }) => ({ date: nextWeekday(next ? addDays(today, 1) : today, [toWeekday(name)]) })
+  },
+  {
+    type: 'date',
+    pattern: phrase('(?:on\\s+)?(\\d{4}-\\d{2}-\\d{2})'),
+    resolve: ([, , dateKey]) => (isValidDateKey(dateKey) ? { date: dateKey } : null)
+  },
+  {
+    type: 'date',
+    pattern: phrase(`(?:on\\s+)?(${MONTH})\\s+(\\d{1,2})${ORDINAL}`),
+    resolve: ([, , month, day], { today }) => {
+      const date = nextDayOfYear(today, month, day);
+      return date ? { date } : null;
+    }
+  },
+  {
+    type: 'date',
+    pattern: phrase(`(?:on\\s+)?(\\d{1,2})${ORDINAL}\\s+(${MONTH})`),
+    resolve: ([, , day, month], { today }) => {
+      const date = nextDayOfYear(today, month, day);
+      return date ? { date } : null;
+    }
+  },
+  {
+    type: 'time',
+    pattern: phrase('(?:at\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)'),
+    resolve: ([, , hours, minutes, period]) => {
+      const time = toTime(hours, minutes, period);
+      return time ? { time } : null;
+    }
+  },
+  {
+    type: 'time',
+    pattern: phrase('(?:at\\s+)?([01]?\\d|2[0-3]):([0-5]\\d)'),
+    resolve: ([, , hours, minutes]) => ({ time: `${hours.padStart(2, '0')}:${minutes}` })
+  },
+  {
+    type: 'time',
+    pattern: phrase('(?:at\\s+)?(noon|midnight)'),
+    resolve: ([, , name]) => ({ time: name.toLowerCase() === 'noon' ? '12:00' : '00:00' })
+  },
+  {
+    type: 'category',
+    pattern: phrase('#([^\\s#!]+)'),
+    resolve: ([, , category]) => ({ category })
+  },
+  {
+    type: 'priority',
+    pattern: phrase(`!(${PRIORITIES.join('|')})`),
+    resolve: ([, , priority]) => ({ priority: priority.toLowerCase() })
+  }
+];
+
+/**
+ * Work out the due date of a quick-added task. A date without a time is due
+ * at 9:00. Without a date, the task is due at the first of its times that
+ * hasn't passed yet: the time today or tomorrow, or the next of the weekdays
+ * a weekly recurrence repeats on.
+ * @param {Object} fields - The recognized fields ({ date, time, recurrence })
+ * @param {Date} now - Reference time
+ * @param {string} timeZone - The user's timezone
+ * @returns {string|null} The due date as an ISO date string, or null if there's none
+ */
+const resolveDueDate = ({ date, time, recurrence }, now, timeZone) => {
+  const dueTime = time || DEFAULT_DUE_TIME;
+  if (date) {
+    return zonedTimeToDate(date, dueTime, timeZone).toISOString();
+  }
+
+  if (!time && !recurrence) {
+    return null;
+  }
+
+  const days = recurrence && recurrence.days ? recurrence.days : WEEKDAYS;
+  const today = toDateKey(now, timeZone);
+  let day = nextWeekday(today, days);
+  if (zonedTimeToDate(day, dueTime, timeZone) <= now) {
+    day = nextWeekday(addDays(today, 1), days);
+  }
+
+  return zonedTimeToDate(day, dueTime, timeZone).toISOString();
+};
+
+/**
+ * Parse a one-line task description such as
+ * "Buy groceries tomorrow 5pm #Personal !high every week" into task fields.
+ * Recognized phrases are taken out of the text and the rest becomes the name:
+ * - dates: today, tomorrow, in 3 days, friday, next friday, dec 31, 2023-12-31
+ * - times: 5pm, 5:30pm, 17:00, noon, midnight (optionally after "at")
+ * - recurrences: daily, every week, every 2 weeks, every other month,
+ *   every weekday, every monday and thursday
+ * - #category and !high, !medium or !low
+ * @param {string} text - The text to parse
+ * @param {Object} options - Parsing options
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {string} options.timeZone - The user's timezone (defaults to UTC)
+ * @returns {Object} { name, dueDate, category, priority, recurrence, matches }, where
+ *   matches lists the recognized phrases ({ type, text }) in the order they appear
+ */
+const parseQuickAdd = (text, { now = new Date(), timeZone } = {}) => {
+  const today = toDateKey(now, timeZone);
+  const fields = {};
+  const matches = [];
+  const found = new Set();
+  let rest = text;
+
+  RULES.forEach(({ type, pattern, resolve }) => {
+    if (found.has(type)) {
+      return;
+    }
+
+    const match = rest.match(pattern);
+    const resolved = match ? resolve(match, { today }) : null;
+    if (!resolved) {
+      return;
+    }
+
+    // Blank out the phrase so the positions of later matches stay comparable
+    const start = match.index + match[1].length;
+    const phraseText = match[0].slice(match[1].length);
+    rest = rest.slice(0, start) + ' '.repeat(phraseText.length) + rest.slice(start + phraseText.length);
+
+    Object.assign(fields, resolved);
+    matches.push({ type, text: phraseText, index: start });
+    found.add(type);
+  });
+
+  return {
+    name: rest.replace(/\s+/g, ' ').trim(),
+    dueDate: resolveDueDate(fields, now, timeZone),
+    category: fields.category || null,
+    priority: fields.priority || null,
+    recurrence: fields.recurrence || null,
+    matches: matches.sort((a, b) => a.index - b.index).map(({ type, text: matchText }) => ({ type, text: matchText }))
+  };
+};
+
+module.exports = {
+  DEFAULT_DUE_TIME,
+  parseQuickAdd
+};
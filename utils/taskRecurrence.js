@@ -0,0 +1,258 @@
+const {
+  isValidDateKey,
+  toDateKey,
+  toTimeKey,
+  zonedTimeToDate,
+  addDays,
+  addMonths,
+  getWeekday
+} = require('./dateUtils');
+const { WEEKDAYS } = require('./habitSchedule');
+
+const RECURRENCE_TYPES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// RRULE names of the supported frequencies and weekdays
+const RRULE_FREQUENCIES = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly', YEARLY: 'yearly' };
+const RRULE_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+/**
+ * Parse the supported subset of an iCalendar RRULE
+ * (FREQ, INTERVAL, BYDAY, BYMONTH, BYMONTHDAY, COUNT and UNTIL) into a recurrence object,
+ * e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR"
+ * @param {string} rrule - The rule, with or without the "RRULE:" prefix
+ * @returns {Object} { recurrence } on success or { error } with a message
+ */
+const parseRRule = (rrule) => {
+  const recurrence = {};
+  const parts = rrule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+
+  for (const part of parts) {
+    const [name, value = ''] = part.split('=').map(item => item.trim().toUpperCase());
+
+    switch (name) {
+      case 'FREQ':
+        if (!RRULE_FREQUENCIES[value]) {
+          return { error: `RRULE FREQ must be one of: ${Object.keys(RRULE_FREQUENCIES).join(', ')}` };
+        }
+        recurrence.type = RRULE_FREQUENCIES[value];
+        break;
+      case 'INTERVAL':
+        recurrence.interval = Number(value);
+        break;
+      case 'BYDAY':
+        recurrence.days = value.split(',').map(day => {
+          const index = RRULE_WEEKDAYS.indexOf(day);
+          return index === -1 ? day : WEEKDAYS[index];
+        });
+        break;
+      case 'BYMONTH':
+        recurrence.month = Number(value);
+        break;
+      case 'BYMONTHDAY':
+        recurrence.dayOfMonth = Number(value);
+        break;
+      case 'COUNT':
+        recurrence.count = Number(value);
+        break;
+      case 'UNTIL':
+        // Only the day of UNTIL is used (20231231 or 20231231T235959Z)
+        recurrence.until = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+        break;
+      default:
+        return { error: `Unsupported RRULE part: ${name}` };
+    }
+  }
+
+  if (!recurrence.type) {
+    return { error: 'RRULE needs a FREQ' };
+  }
+
+  return { recurrence };
+};
+
+/**
+ * Validate and normalize the recurrence rule of a task, given either as an
+ * object (e.g. { "type": "weekly", "days": ["mon"] }) or as an RRULE string.
+ * Missing weekdays, days of the month and months are taken from the first due date.
+ * @param {Object|string} input - The recurrence rule
+ * @param {Object} options - Normalization options
+ * @param {string} options.dueDate - The day the task is first due (YYYY-MM-DD)
+ * @returns {Object} { recurrence } on success or { error } with a message
+ */
+const normalizeRecurrence = (input, { dueDate }) => {
+  let rule = input;
+  if (typeof input === 'string') {
+    const parsed = parseRRule(input);
+    if (parsed.error) {
+      return parsed;
+    }
+    rule = parsed.recurrence;
+  }
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return { error: 'Recurrence must be an object or an RRULE string' };
+  }
+
+  const { type, interval = 1, days, dayOfMonth, month, count, until } = rule;
+
+  if (!RECURRENCE_TYPES.includes(type)) {
+    return { error: `Recurrence type must be one of: ${RECURRENCE_TYPES.join(', ')}` };
+  }
+
+  if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+    return { error: 'Recurrence interval must be a whole number between 1 and 365' };
+  }
+
+  if (count !== undefined && count !== null && !(Number.isInteger(count) && count >= 1)) {
+    return { error: 'Recurrence count must be a positive whole number' };
+  }
+
+  if (until !== undefined && until !== null && !isValidDateKey(until)) {
+    return { error: 'Recurrence until must be a date in YYYY-MM-DD format' };
+  }
+
+  const recurrence = { type, interval };
+  if (count) recurrence.count = count;
+  if (until) recurrence.until = until;
+
+  if (type === 'weekly') {
+    const weekdays = days !== undefined ? days : [WEEKDAYS[getWeekday(dueDate)]];
+    if (!Array.isArray(weekdays) || weekdays.length === 0) {
+      return { error: 'Recurrence days must be a non-empty list of weekdays' };
+    }
+
+    const normalizedDays = weekdays.map(day => String(day).toLowerCase().slice(0, 3));
+    if (normalizedDays.some(day => !WEEKDAYS.includes(day))) {
+      return { error: `Recurrence days must be weekdays: ${WEEKDAYS.join(', ')}` };
+    }
+
+    // Store each day once, in week order
+    recurrence.days = WEEKDAYS.filter(day => normalizedDays.includes(day));
+  }
+
+  if (type === 'monthly' || type === 'yearly') {
+    const day = dayOfMonth !== undefined ? dayOfMonth : Number(dueDate.slice(8, 10));
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      return { error: 'Recurrence dayOfMonth must be between 1 and 31' };
+    }
+
+    recurrence.dayOfMonth = day;
+  }
+
+  if (type === 'yearly') {
+    const yearMonth = month !== undefined ? month : Number(dueDate.slice(5, 7));
+    if (!Number.isInteger(yearMonth) || yearMonth < 1 || yearMonth > 12) {
+      return { error: 'Recurrence month must be between 1 and 12' };
+    }
+
+    recurrence.month = yearMonth;
+  }
+
+  return { recurrence };
+};
+
+/**
+ * Get a day of the month a number of months after the month of a day,
+ * using the last day of the month if it is shorter
+ * @param {string} dateKey - A day in the starting month (YYYY-MM-DD)
+ * @param {number} months - Number of months to move forward
+ * @param {number} dayOfMonth - The day of the month (1-31)
+ * @returns {string} The day key
+ */
+const getDayOfMonth = (dateKey, months, dayOfMonth) => {
+  const firstOfMonth = addMonths(`${dateKey.slice(0, 8)}01`, months);
+  const lastDay = Number(addDays(addMonths(firstOfMonth, 1), -1).slice(8, 10));
+  return `${firstOfMonth.slice(0, 8)}${String(Math.min(dayOfMonth, lastDay)).padStart(2, '0')}`;
+};
+
+/**
+ * Get the next day on which a recurring task is due after a given day.
+ * Weekly rules with an interval move to the first matching day `interval`
+ * weeks later once the current week has no matching days left; monthly and
+ * yearly rules use the last day of shorter months. Yearly rules always move
+ * `interval` years ahead, to the rule's month and day.
+ * @param {string} dateKey - The day the task was due (YYYY-MM-DD)
+ * @param {Object} recurrence - The normalized recurrence rule
+ * @returns {string} The next due day
+ */
+const getNextOccurrenceDay = (dateKey, recurrence) => {
+  const { type, interval } = recurrence;
+
+  switch (type) {
+    case 'weekly': {
+      const weekday = getWeekday(dateKey);
+      const scheduled = recurrence.days.map(day => WEEKDAYS.indexOf(day));
+
+      const laterThisWeek = scheduled.find(day => day > weekday);
+      if (laterThisWeek !== undefined) {
+        return addDays(dateKey, laterThisWeek - weekday);
+      }
+
+      const nextMonday = addDays(dateKey, 7 * interval - weekday);
+      return addDays(nextMonday, Math.min(...scheduled));
+    }
+
+    case 'monthly': {
+      // The rule's day may still be ahead in the current month
+      const sameMonth = getDayOfMonth(dateKey, 0, recurrence.dayOfMonth);
+      if (sameMonth > dateKey) {
+        return sameMonth;
+      }
+
+      return getDayOfMonth(dateKey, interval, recurrence.dayOfMonth);
+    }
+
+    case 'yearly': {
+      // Rules stored before the month was kept stay in the month of the due date
+      const month = recurrence.month || Number(dateKey.slice(5, 7));
+      const firstOfMonth = `${dateKey.slice(0, 4)}-${String(month).padStart(2, '0')}-01`;
+      return getDayOfMonth(firstOfMonth, 12 * interval, recurrence.dayOfMonth);
+    }
+
+    default:
+      return addDays(dateKey, interval);
+  }
+};
+
+/**
+ * Get the due date of the next occurrence of a recurring task. The next
+ * occurrence keeps the wall-clock time of the due date in the user's timezone.
+ * A task completed late catches up: occurrences that would already be due
+ * are skipped, so the next one is always due in the future. Skipped
+ * occurrences don't count towards the rule's `count`.
+ * @param {Object} task - The task ({ dueDate, recurrence, occurrence })
+ * @param {string} timeZone - The user's timezone
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {string|null} ISO due date, or null if the recurrence has ended
+ */
+const getNextDueDate = (task, timeZone, now = new Date()) => {
+  const { dueDate, recurrence } = task;
+  if (!dueDate || !recurrence) {
+    return null;
+  }
+
+  const occurrence = task.occurrence || 1;
+  if (recurrence.count && occurrence >= recurrence.count) {
+    return null;
+  }
+
+  const time = toTimeKey(dueDate, timeZone);
+  let nextDay = getNextOccurrenceDay(toDateKey(dueDate, timeZone), recurrence);
+  while (zonedTimeToDate(nextDay, time, timeZone) <= now && !(recurrence.until && nextDay > recurrence.until)) {
+    nextDay = getNextOccurrenceDay(nextDay, recurrence);
+  }
+
+  if (recurrence.until && nextDay > recurrence.until) {
+    return null;
+  }
+
+  return zonedTimeToDate(nextDay, time, timeZone).toISOString();
+};
+
+module.exports = {
+  RECURRENCE_TYPES,
+  parseRRule,
+  normalizeRecurrence,
+  getNextOccurrenceDay,
+  getNextDueDate
+};
@@ -0,0 +1,92 @@
+// Workflow statuses for users who haven't set up their own. Tasks in a
+// `done` status are completed.
+const DEFAULT_TASK_STATUSES = [
+  { key: 'todo', name: 'To do', done: false },
+  { key: 'in-progress', name: 'In progress', done: false },
+  { key: 'waiting', name: 'Waiting', done: false },
+  { key: 'done', name: 'Done', done: true }
+];
+
+const MAX_TASK_STATUSES = 20;
+const STATUS_KEY_REGEX = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Validate and normalize a user's list of task statuses from a request body
+ * @param {Array<Object>} statuses - The statuses ({ key, name, done }), in board order
+ * @returns {Object} { statuses } on success or { error } with a message
+ */
+const normalizeTaskStatuses = (statuses) => {
+  if (!Array.isArray(statuses) || statuses.length < 2 || statuses.length > MAX_TASK_STATUSES) {
+    return { error: `taskStatuses must be a list of 2 to ${MAX_TASK_STATUSES} statuses` };
+  }
+
+  const normalized = [];
+  for (const status of statuses) {
+    if (!status || typeof status !== 'object') {
+      return { error: 'Each status must be an object with a key and a name' };
+    }
+
+    const { key, name, done = false } = status;
+    if (typeof key !== 'string' || !STATUS_KEY_REGEX.test(key) || key.length > 30) {
+      return { error: 'Status keys must be at most 30 lower case letters, digits and dashes, e.g. in-progress' };
+    }
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) {
+      return { error: `Status ${key} needs a name of at most 50 characters` };
+    }
+
+    if (typeof done !== 'boolean') {
+      return { error: `done of status ${key} must be a boolean` };
+    }
+
+    if (normalized.some(item => item.key === key)) {
+      return { error: `Status keys must be unique; ${key} is used twice` };
+    }
+
+    normalized.push({ key, name: name.trim(), done });
+  }
+
+  if (!normalized.some(status => status.done) || normalized.every(status => status.done)) {
+    return { error: 'taskStatuses needs at least one open and one done status' };
+  }
+
+  return { statuses: normalized };
+};
+
+/**
+ * Get the status of a task. Tasks without a known status, or whose status
+ * doesn't match whether they are completed (e.g. after being toggled by an
+ * older client), are in the first done or open status.
+ * @param {Object} task - The task ({ status, completed })
+ * @param {Array<Object>} statuses - The user's statuses
+ * @returns {string} The status key
+ */
+const getTaskStatus = (task, statuses) => {
+  const completed = Boolean(task.completed);
+  const current = statuses.find(status => status.key === task.status);
+  if (current && current.done === completed) {
+    return current.key;
+  }
+
+  return statuses.find(status => status.done === completed).key;
+};
+
+/**
+ * Group tasks into board columns, one for each status
+ * @param {Array<Object>} tasks - The tasks, with their status
+ * @param {Array<Object>} statuses - The user's statuses, in board order
+ * @returns {Array<Object>} The statuses with their `tasks` and task `count`
+ */
+const groupTasksByStatus = (tasks, statuses) => {
+  return statuses.map(status => {
+    const statusTasks = tasks.filter(task => task.status === status.key);
+    return { ...status, count: statusTasks.length, tasks: statusTasks };
+  });
+};
+
+module.exports = {
+  DEFAULT_TASK_STATUSES,
+  normalizeTaskStatuses,
+  getTaskStatus,
+  groupTasksByStatus
+};
@@ -0,0 +1,91 @@
+const { toDateKey, addDays } = require('./dateUtils');
+
+const TASK_VIEWS = ['overdue', 'today', 'upcoming', 'someday'];
+
+// Number of days after today shown in the upcoming view by default
+const DEFAULT_UPCOMING_DAYS = 7;
+
+// Order of tasks due at the same time (or without a due date)
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Compare two tasks by due date, then by priority
+ * @param {Object} a - A task
+ * @param {Object} b - Another task
+ * @returns {number} Negative if a comes first, positive if b comes first
+ */
+const compareTasks = (a, b) => {
+  if (a.dueDate !== b.dueDate) {
+    if (!a.dueDate) return 1;
+    if (!b.dueDate) return -1;
+    return new Date(a.dueDate) - new Date(b.dueDate);
+  }
+
+  const priority = task => (task.priority in PRIORITY_ORDER ? PRIORITY_ORDER[task.priority] : PRIORITY_ORDER.medium);
+  return priority(a) - priority(b);
+};
+
+/**
+ * Get the view an open task belongs to, from the day it is due in the
+ * user's timezone
+ * @param {Object} task - The task ({ dueDate, completed })
+ * @param {string} today - Today in the user's timezone (YYYY-MM-DD)
+ * @param {string} lastUpcomingDay - Last day of the upcoming view (YYYY-MM-DD)
+ * @param {string} timeZone - The user's timezone
+ * @returns {string|null} The view name, or null if the task is in none of them
+ */
+const getTaskView = (task, today, lastUpcomingDay, timeZone) => {
+  if (task.completed) {
+    return null;
+  }
+
+  if (!task.dueDate) {
+    return 'someday';
+  }
+
+  const dueDay = toDateKey(task.dueDate, timeZone);
+  if (dueDay < today) return 'overdue';
+  if (dueDay === today) return 'today';
+  if (dueDay <= lastUpcomingDay) return 'upcoming';
+  return null;
+};
+
+/**
+ * Sort open tasks into the overdue, today, upcoming and someday views, each
+ * ordered by due date and then priority. Completed tasks and tasks due after
+ * the upcoming days are left out.
+ * @param {Array} tasks - The tasks
+ * @param {Object} options - Grouping options
+ * @param {number} options.upcomingDays - Number of days after today in the upcoming view
+ * @param {Date} options.now - Reference time (defaults to now)
+ * @param {string} options.timeZone - The user's timezone (defaults to UTC)
+ * @returns {Object} Lists of tasks keyed by view name
+ */
+const groupTasksByView = (tasks, { upcomingDays = DEFAULT_UPCOMING_DAYS, now = new Date(), timeZone } = {}) => {
+  const today = toDateKey(now, timeZone);
+  const lastUpcomingDay = addDays(today, upcomingDays);
+  const views = TASK_VIEWS.reduce((all, view) => ({ ...all, [view]: [] }), {});
+
+  [...tasks].sort(compareTasks).forEach(task => {
+    const view = getTaskView(task, today, lastUpcomingDay, timeZone);
+    if (view) views[view].push(task);
+  });
+
+  return views;
+};
+
+/**
+ * Count the tasks in each view
+ * @param {Object} views - Lists of tasks keyed by view name
+ * @returns {Object} Number of tasks keyed by view name
+ */
+const countTaskViews = (views) => {
+  return TASK_VIEWS.reduce((counts, view) => ({ ...counts, [view]: views[view].length }), {});
+};
+
+module.exports = {
+  TASK_VIEWS,
+  DEFAULT_UPCOMING_DAYS,
+  groupTasksByView,
+  countTaskViews
+};